@@ -0,0 +1,32 @@
+-- Migración para bases de datos creadas antes de la biblioteca de rúbricas.
+-- Las bases nuevas ya obtienen estas columnas y tablas desde schema.sql.
+
+CREATE TABLE IF NOT EXISTS rubrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    configuracion TEXT,
+    niveles_desempeno TEXT,
+    criterios TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS rubric_versions (
+    rubric_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    configuracion TEXT,
+    niveles_desempeno TEXT,
+    criterios TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rubric_id, version),
+    FOREIGN KEY (rubric_id) REFERENCES rubrics (id) ON DELETE CASCADE
+);
+
+ALTER TABLE reports ADD COLUMN rubric_id INTEGER REFERENCES rubrics (id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN rubric_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_rubrics_user ON rubrics(user_id);
+CREATE INDEX IF NOT EXISTS idx_reports_rubric ON reports(rubric_id);
@@ -0,0 +1,29 @@
+-- Migración para bases de datos creadas antes de la nómina de estudiantes.
+-- Las bases nuevas ya obtienen estas columnas y tablas desde schema.sql.
+
+CREATE TABLE IF NOT EXISTS students (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    rut TEXT,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS list_students (
+    list_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, student_id),
+    FOREIGN KEY (list_id) REFERENCES lists (id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students (id) ON DELETE CASCADE
+);
+
+ALTER TABLE reports ADD COLUMN student_id INTEGER REFERENCES students (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_students_user ON students(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_user_rut ON students(user_id, rut) WHERE rut IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_list_students_student ON list_students(student_id);
+CREATE INDEX IF NOT EXISTS idx_reports_student ON reports(student_id);
@@ -0,0 +1,5 @@
+-- Migración para bases de datos creadas antes del libro de notas.
+-- Las bases nuevas ya obtienen esta columna desde schema.sql.
+
+-- Pesos de cada evaluación (tituloEvaluacion) en el promedio final de la lista, como JSON
+ALTER TABLE lists ADD COLUMN gradebook_weights TEXT;
@@ -0,0 +1,17 @@
+-- Migración para bases de datos creadas antes de las sesiones con expiración.
+-- Las bases nuevas ya obtienen esta tabla desde schema.sql.
+-- Las contraseñas en texto plano se rehashean con PBKDF2 en el siguiente inicio de sesión
+-- y los tokens de users.token pasan a esta tabla la primera vez que se usan.
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
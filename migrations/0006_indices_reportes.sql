@@ -0,0 +1,5 @@
+-- Migración para bases de datos creadas antes de la paginación de reportes.
+-- Las bases nuevas ya obtienen estos índices desde schema.sql.
+
+CREATE INDEX IF NOT EXISTS idx_reports_user_created ON reports(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_list ON reports(list_id);
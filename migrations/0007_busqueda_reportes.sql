@@ -0,0 +1,57 @@
+-- Migración para bases de datos creadas antes de la búsqueda de texto completo.
+-- Las bases nuevas ya obtienen la tabla y los triggers desde schema.sql.
+-- Al final se indexan los reportes existentes.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS reports_fts USING fts5(
+    report_id UNINDEXED,
+    estudiante,
+    titulo,
+    asignatura,
+    carrera,
+    feedback,
+    criterios,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_insert AFTER INSERT ON reports BEGIN
+    INSERT INTO reports_fts (report_id, estudiante, titulo, asignatura, carrera, feedback, criterios)
+    VALUES (
+        NEW.id,
+        json_extract(NEW.info_general, '$.nombreEstudiante'),
+        json_extract(NEW.info_general, '$.tituloEvaluacion'),
+        json_extract(NEW.info_general, '$.asignatura'),
+        json_extract(NEW.info_general, '$.carrera'),
+        json_extract(NEW.feedback, '$.comentario'),
+        (SELECT group_concat(json_extract(value, '$.nombre'), ' ') FROM json_each(NEW.criterios))
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_update AFTER UPDATE OF info_general, feedback, criterios ON reports BEGIN
+    DELETE FROM reports_fts WHERE report_id = OLD.id;
+    INSERT INTO reports_fts (report_id, estudiante, titulo, asignatura, carrera, feedback, criterios)
+    VALUES (
+        NEW.id,
+        json_extract(NEW.info_general, '$.nombreEstudiante'),
+        json_extract(NEW.info_general, '$.tituloEvaluacion'),
+        json_extract(NEW.info_general, '$.asignatura'),
+        json_extract(NEW.info_general, '$.carrera'),
+        json_extract(NEW.feedback, '$.comentario'),
+        (SELECT group_concat(json_extract(value, '$.nombre'), ' ') FROM json_each(NEW.criterios))
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_delete AFTER DELETE ON reports BEGIN
+    DELETE FROM reports_fts WHERE report_id = OLD.id;
+END;
+
+INSERT INTO reports_fts (report_id, estudiante, titulo, asignatura, carrera, feedback, criterios)
+SELECT
+    r.id,
+    json_extract(r.info_general, '$.nombreEstudiante'),
+    json_extract(r.info_general, '$.tituloEvaluacion'),
+    json_extract(r.info_general, '$.asignatura'),
+    json_extract(r.info_general, '$.carrera'),
+    json_extract(r.feedback, '$.comentario'),
+    (SELECT group_concat(json_extract(value, '$.nombre'), ' ') FROM json_each(r.criterios))
+FROM reports r
+WHERE r.id NOT IN (SELECT report_id FROM reports_fts);
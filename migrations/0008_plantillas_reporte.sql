@@ -0,0 +1,19 @@
+-- Migración para bases de datos creadas antes de las plantillas de reporte.
+-- Las bases nuevas ya obtienen la tabla y la columna desde schema.sql.
+
+CREATE TABLE IF NOT EXISTS report_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    institutional INTEGER NOT NULL DEFAULT 0,
+    design TEXT,
+    logo TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_templates_user ON report_templates(user_id);
+
+-- Plantilla elegida por cada docente; NULL usa el diseño predeterminado
+ALTER TABLE users ADD COLUMN report_template_id INTEGER REFERENCES report_templates (id) ON DELETE SET NULL;
@@ -0,0 +1,26 @@
+-- Migración para bases de datos creadas antes de la conversación con el estudiante.
+-- Las bases nuevas ya obtienen la tabla desde schema.sql.
+
+CREATE TABLE IF NOT EXISTS report_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    share_link_id INTEGER,
+    parent_id INTEGER,
+    author TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    criterion_index INTEGER,
+    criterion_name TEXT,
+    body TEXT,
+    status TEXT,
+    resolved_at DATETIME,
+    resolution TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (share_link_id) REFERENCES share_links (id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_id) REFERENCES report_messages (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_messages_report ON report_messages(report_id);
+CREATE INDEX IF NOT EXISTS idx_report_messages_user_status ON report_messages(user_id, status);
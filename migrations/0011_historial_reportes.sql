@@ -0,0 +1,22 @@
+-- Migración para bases de datos creadas antes del historial de reportes.
+-- Las bases nuevas ya obtienen la tabla desde schema.sql. Los reportes existentes
+-- registran su estado actual como primera revisión la próxima vez que cambian.
+
+CREATE TABLE IF NOT EXISTS report_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    number INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    restored_from INTEGER,
+    snapshot TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (report_id, number),
+    FOREIGN KEY (report_id) REFERENCES reports (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER IF NOT EXISTS report_revisions_append_only BEFORE UPDATE ON report_revisions BEGIN
+    SELECT RAISE(ABORT, 'report_revisions is append-only');
+END;
@@ -5,7 +5,44 @@ CREATE TABLE IF NOT EXISTS users (
     email TEXT UNIQUE NOT NULL,
     university TEXT,
     password TEXT NOT NULL,
+    -- Token único de versiones anteriores; se convierte en sesión la primera vez que se usa
     token TEXT UNIQUE,
+    email_verified_at DATETIME,
+    -- Plantilla de reporte elegida (propia o de la institución); NULL usa el diseño predeterminado
+    report_template_id INTEGER REFERENCES report_templates (id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sesiones (una por dispositivo); solo se guarda el SHA-256 del token
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Tokens de un solo uso para recuperar la contraseña ('reset') y verificar el email ('verify')
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Correos enviados por el mailer 'outbox' (desarrollo local y pruebas)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -14,7 +51,70 @@ CREATE TABLE IF NOT EXISTS lists (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT NOT NULL,
     user_id INTEGER NOT NULL,
+    gradebook_weights TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Tabla de estudiantes (nómina de cada docente)
+CREATE TABLE IF NOT EXISTS students (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    rut TEXT,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Estudiantes inscritos en cada lista (las listas funcionan como secciones del curso)
+CREATE TABLE IF NOT EXISTS list_students (
+    list_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, student_id),
+    FOREIGN KEY (list_id) REFERENCES lists (id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students (id) ON DELETE CASCADE
+);
+
+-- Tabla de rúbricas (biblioteca reutilizable; guarda la versión vigente)
+CREATE TABLE IF NOT EXISTS rubrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    configuracion TEXT,
+    niveles_desempeno TEXT,
+    criterios TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Versiones de cada rúbrica (los reportes referencian rubric_id + version)
+CREATE TABLE IF NOT EXISTS rubric_versions (
+    rubric_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    configuracion TEXT,
+    niveles_desempeno TEXT,
+    criterios TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rubric_id, version),
+    FOREIGN KEY (rubric_id) REFERENCES rubrics (id) ON DELETE CASCADE
+);
+
+-- Plantillas de reporte: diseño (JSON, ver shared/diseno.js) y logo como data URL.
+-- Las institucionales también las pueden usar los docentes de la misma universidad.
+CREATE TABLE IF NOT EXISTS report_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    institutional INTEGER NOT NULL DEFAULT 0,
+    design TEXT,
+    logo TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
 
@@ -23,6 +123,9 @@ CREATE TABLE IF NOT EXISTS reports (
     id TEXT PRIMARY KEY,
     user_id INTEGER NOT NULL,
     list_id INTEGER,
+    student_id INTEGER,
+    rubric_id INTEGER,
+    rubric_version INTEGER,
     info_general TEXT,
     configuracion TEXT,
     niveles_desempeno TEXT,
@@ -32,10 +135,137 @@ CREATE TABLE IF NOT EXISTS reports (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-    FOREIGN KEY (list_id) REFERENCES lists (id) ON DELETE SET NULL
+    FOREIGN KEY (list_id) REFERENCES lists (id) ON DELETE SET NULL,
+    FOREIGN KEY (student_id) REFERENCES students (id) ON DELETE SET NULL,
+    FOREIGN KEY (rubric_id) REFERENCES rubrics (id) ON DELETE SET NULL
+);
+
+-- Enlaces de solo lectura para que el estudiante vea su reporte sin cuenta.
+-- Se guarda solo el hash del token; revoked_at o expires_at vencido desactivan el enlace.
+CREATE TABLE IF NOT EXISTS share_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    report_id TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    first_opened_at DATETIME,
+    last_opened_at DATETIME,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (report_id) REFERENCES reports (id) ON DELETE CASCADE
+);
+
+-- Conversación del estudiante con el docente sobre su reporte: acuses de recibo,
+-- respuestas y solicitudes de recorrección de un criterio. Las solicitudes del
+-- estudiante quedan 'open' hasta que el docente las resuelve; resolution guarda el
+-- cambio de evaluación y de nota (JSON) y la respuesta del docente apunta a ella con parent_id.
+CREATE TABLE IF NOT EXISTS report_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    share_link_id INTEGER,
+    parent_id INTEGER,
+    author TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    criterion_index INTEGER,
+    criterion_name TEXT,
+    body TEXT,
+    status TEXT,
+    resolved_at DATETIME,
+    resolution TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (share_link_id) REFERENCES share_links (id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_id) REFERENCES report_messages (id) ON DELETE CASCADE
 );
 
+-- Historial de cada reporte: una revisión por cambio guardado (creación, edición, carga
+-- masiva, recorrección o restauración), con el estado completo del reporte en snapshot
+-- (JSON) y las diferencias con el estado anterior en changes. Es de solo inserción: un
+-- trigger rechaza las modificaciones y las revisiones solo se eliminan con su reporte.
+-- source 'initial' registra el estado de un reporte anterior al historial antes de su primer cambio.
+CREATE TABLE IF NOT EXISTS report_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    number INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    restored_from INTEGER,
+    snapshot TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (report_id, number),
+    FOREIGN KEY (report_id) REFERENCES reports (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER IF NOT EXISTS report_revisions_append_only BEFORE UPDATE ON report_revisions BEGIN
+    SELECT RAISE(ABORT, 'report_revisions is append-only');
+END;
+
+-- Índice de búsqueda de texto completo sobre los reportes.
+-- unicode61 con remove_diacritics ignora mayúsculas y tildes ("perez" encuentra "Pérez").
+-- Los triggers lo mantienen sincronizado al crear, editar o eliminar reportes.
+CREATE VIRTUAL TABLE IF NOT EXISTS reports_fts USING fts5(
+    report_id UNINDEXED,
+    estudiante,
+    titulo,
+    asignatura,
+    carrera,
+    feedback,
+    criterios,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_insert AFTER INSERT ON reports BEGIN
+    INSERT INTO reports_fts (report_id, estudiante, titulo, asignatura, carrera, feedback, criterios)
+    VALUES (
+        NEW.id,
+        json_extract(NEW.info_general, '$.nombreEstudiante'),
+        json_extract(NEW.info_general, '$.tituloEvaluacion'),
+        json_extract(NEW.info_general, '$.asignatura'),
+        json_extract(NEW.info_general, '$.carrera'),
+        json_extract(NEW.feedback, '$.comentario'),
+        (SELECT group_concat(json_extract(value, '$.nombre'), ' ') FROM json_each(NEW.criterios))
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_update AFTER UPDATE OF info_general, feedback, criterios ON reports BEGIN
+    DELETE FROM reports_fts WHERE report_id = OLD.id;
+    INSERT INTO reports_fts (report_id, estudiante, titulo, asignatura, carrera, feedback, criterios)
+    VALUES (
+        NEW.id,
+        json_extract(NEW.info_general, '$.nombreEstudiante'),
+        json_extract(NEW.info_general, '$.tituloEvaluacion'),
+        json_extract(NEW.info_general, '$.asignatura'),
+        json_extract(NEW.info_general, '$.carrera'),
+        json_extract(NEW.feedback, '$.comentario'),
+        (SELECT group_concat(json_extract(value, '$.nombre'), ' ') FROM json_each(NEW.criterios))
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_delete AFTER DELETE ON reports BEGIN
+    DELETE FROM reports_fts WHERE report_id = OLD.id;
+END;
+
 -- Índices para optimización
 CREATE INDEX IF NOT EXISTS idx_reports_user ON reports(user_id);
+CREATE INDEX IF NOT EXISTS idx_reports_user_created ON reports(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_list ON reports(list_id);
 CREATE INDEX IF NOT EXISTS idx_lists_user ON lists(user_id);
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_rubrics_user ON rubrics(user_id);
+CREATE INDEX IF NOT EXISTS idx_reports_rubric ON reports(rubric_id);
+CREATE INDEX IF NOT EXISTS idx_students_user ON students(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_user_rut ON students(user_id, rut) WHERE rut IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_list_students_student ON list_students(student_id);
+CREATE INDEX IF NOT EXISTS idx_reports_student ON reports(student_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_report_templates_user ON report_templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_report ON share_links(report_id);
+CREATE INDEX IF NOT EXISTS idx_report_messages_report ON report_messages(report_id);
+CREATE INDEX IF NOT EXISTS idx_report_messages_user_status ON report_messages(user_id, status);
\ No newline at end of file
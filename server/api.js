@@ -0,0 +1,3531 @@
+/**
+ * Núcleo de la API, común a las dos formas de despliegue:
+ * la Pages Function (functions/api/[[route]].js) y el Worker (worker.js).
+ * Ambos archivos solo adaptan su punto de entrada a handleApiRequest.
+ */
+
+import {
+  calcularResultados,
+  notaCoincide,
+  promedioPonderado,
+  evaluacionesFueraDeRango,
+  normalizarConfiguracion,
+  normalizarNiveles,
+  descriptoresCriterio,
+  claveNivel,
+  CONFIGURACION_PREDETERMINADA,
+  NIVELES_PREDETERMINADOS
+} from '../shared/calificacion.js';
+import {
+  generarCSV,
+  generarXLSX,
+  columnasCriterio,
+  textoNiveles,
+  COLUMNAS_PLANTILLA,
+  COLUMNAS_ESCALA,
+  COLUMNAS_RETROALIMENTACION
+} from '../shared/planillas.js';
+import { normalizarNombre, normalizarRut, buscarEstudiante } from '../shared/estudiantes.js';
+import { normalizarDiseno, problemaLogo, DISENO_PREDETERMINADO } from '../shared/diseno.js';
+import {
+  validate,
+  REPORT_SCHEMA,
+  REPORT_QUERY_SCHEMA,
+  BULK_REPORT_SCHEMA,
+  BULK_REPORTS_SCHEMA,
+  REPORT_EXPORT_SCHEMA,
+  GRADEBOOK_EXPORT_SCHEMA,
+  GRADEBOOK_WEIGHTS_SCHEMA,
+  GRADEBOOK_WEIGHT_SCHEMA,
+  TEMPLATE_SCHEMA,
+  DEFAULT_TEMPLATE_SCHEMA,
+  SHARE_SCHEMA,
+  STUDENT_MESSAGE_SCHEMA,
+  TEACHER_MESSAGE_SCHEMA,
+  RESOLVE_MESSAGE_SCHEMA,
+  MESSAGE_QUERY_SCHEMA,
+  LIST_SCHEMA,
+  RUBRIC_SCHEMA,
+  STUDENT_SCHEMA,
+  ROSTER_SCHEMA,
+  REGISTER_SCHEMA,
+  LOGIN_SCHEMA,
+  FORGOT_PASSWORD_SCHEMA,
+  RESET_PASSWORD_SCHEMA,
+  VERIFY_EMAIL_SCHEMA
+} from './validation.js';
+
+// Define las cabeceras CORS para todas las respuestas
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// ==========================================
+// UTILITIES
+// ==========================================
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...headers },
+  });
+}
+
+// Código por defecto de cada estado HTTP en las respuestas de error
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  422: 'unprocessable',
+  500: 'internal_error'
+};
+
+/**
+ * Respuesta de error con formato uniforme { code, message, fields }.
+ * fields asocia la ruta de cada campo con problemas a su mensaje, para que la
+ * interfaz lo muestre junto al input correspondiente.
+ */
+function errorResponse(message, status = 400, { code, fields } = {}) {
+  return new Response(JSON.stringify({ code: code || ERROR_CODES[status] || 'error', message, fields: fields || {} }), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Lee el cuerpo JSON de la solicitud y lo valida contra un esquema de validation.js.
+ * Devuelve { body } o { error } con los errores por campo.
+ */
+async function readBody(request, schema) {
+  let body;
+  try {
+    // Un cuerpo vacío se valida como ausente: solo falla si el esquema lo exige
+    const text = await request.text();
+    body = text.trim() ? JSON.parse(text) : undefined;
+  } catch (err) {
+    return { error: errorResponse('Request body must be valid JSON.', 400, { code: 'invalid_json' }) };
+  }
+
+  const fields = validate(schema, body);
+  const invalid = Object.keys(fields);
+  if (invalid.length > 0) {
+    return {
+      error: errorResponse(`Invalid fields: ${invalid.join(', ')}.`, 400, { code: 'validation_error', fields })
+    };
+  }
+  return { body: body || {} };
+}
+
+function generateToken() {
+  return crypto.randomUUID();
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Compara dos cadenas en tiempo constante respecto de su contenido
+ */
+function safeEqual(a, b) {
+  const x = String(a);
+  const y = String(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+function extractToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+// ==========================================
+// RUTAS
+// ==========================================
+
+/**
+ * Tabla de rutas de la API. Cada ruta indica método, patrón (los segmentos
+ * ':nombre' se reciben en params), si exige sesión y el handler, que recibe
+ * (request, env, { user, params }). Para rutas con auth, user es el usuario
+ * de la sesión. El orden importa: gana la primera ruta que coincide.
+ */
+const ROUTES = [
+  // Autenticación
+  { method: 'POST', path: '/auth/register', auth: false, handler: (request, env) => registerUser(request, env) },
+  { method: 'POST', path: '/auth/login', auth: false, handler: (request, env) => loginUser(request, env) },
+  { method: 'GET', path: '/auth/me', auth: true, handler: (request, env, { user }) => jsonResponse(user) },
+  { method: 'POST', path: '/auth/logout', auth: true, handler: (request, env, { user }) => logoutUser(request, env, user) },
+  { method: 'GET', path: '/auth/sessions', auth: true, handler: (request, env, { user }) => getSessions(request, env, user) },
+  { method: 'DELETE', path: '/auth/sessions/:id', auth: true, handler: (request, env, { user, params }) => revokeSession(request, env, user, params.id) },
+  { method: 'POST', path: '/auth/forgot', auth: false, handler: (request, env) => forgotPassword(request, env) },
+  { method: 'POST', path: '/auth/reset', auth: false, handler: (request, env) => resetPassword(request, env) },
+  // Sin token en el cuerpo reenvía el correo, por eso autentica por su cuenta
+  { method: 'POST', path: '/auth/verify', auth: false, handler: (request, env) => verifyEmail(request, env) },
+
+  // Reportes
+  { method: 'GET', path: '/reports', auth: true, handler: (request, env, { user }) => getReports(request, env, user.id) },
+  { method: 'POST', path: '/reports', auth: true, handler: (request, env, { user }) => createReport(request, env, user.id) },
+  { method: 'GET', path: '/reports/search', auth: true, handler: (request, env, { user }) => searchReports(request, env, user.id) },
+  { method: 'POST', path: '/reports/bulk', auth: true, handler: (request, env, { user }) => bulkUpsertReports(request, env, user.id) },
+  { method: 'GET', path: '/reports/export', auth: true, handler: (request, env, { user }) => exportReports(request, env, user.id) },
+  { method: 'GET', path: '/reports/:id', auth: true, handler: (request, env, { user, params }) => getReport(request, env, user.id, params.id) },
+  { method: 'PUT', path: '/reports/:id', auth: true, handler: (request, env, { user, params }) => updateReport(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/reports/:id', auth: true, handler: (request, env, { user, params }) => deleteReport(request, env, user.id, params.id) },
+  { method: 'GET', path: '/reports/:id/shares', auth: true, handler: (request, env, { user, params }) => getReportShares(request, env, user.id, params.id) },
+  { method: 'POST', path: '/reports/:id/shares', auth: true, handler: (request, env, { user, params }) => shareReport(request, env, user.id, params.id) },
+  { method: 'GET', path: '/reports/:id/messages', auth: true, handler: (request, env, { user, params }) => getReportMessages(request, env, user.id, params.id) },
+  { method: 'POST', path: '/reports/:id/messages', auth: true, handler: (request, env, { user, params }) => replyToReport(request, env, user.id, params.id) },
+  { method: 'GET', path: '/reports/:id/revisions', auth: true, handler: (request, env, { user, params }) => getReportRevisions(request, env, user.id, params.id) },
+  { method: 'GET', path: '/reports/:id/revisions/:number', auth: true, handler: (request, env, { user, params }) => getReportRevision(request, env, user.id, params.id, params.number) },
+  { method: 'POST', path: '/reports/:id/revisions/:number/restore', auth: true, handler: (request, env, { user, params }) => restoreReportRevision(request, env, user.id, params.id, params.number) },
+
+  // Listas, nómina y libro de notas
+  { method: 'GET', path: '/lists', auth: true, handler: (request, env, { user }) => getLists(request, env, user.id) },
+  { method: 'POST', path: '/lists', auth: true, handler: (request, env, { user }) => createList(request, env, user.id) },
+  { method: 'GET', path: '/lists/:id', auth: true, handler: (request, env, { user, params }) => getList(request, env, user.id, params.id) },
+  { method: 'PUT', path: '/lists/:id', auth: true, handler: (request, env, { user, params }) => updateList(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/lists/:id', auth: true, handler: (request, env, { user, params }) => deleteList(request, env, user.id, params.id) },
+  { method: 'POST', path: '/lists/:id/students', auth: true, handler: (request, env, { user, params }) => importRoster(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/lists/:id/students/:studentId', auth: true, handler: (request, env, { user, params }) => removeStudentFromList(request, env, user.id, params.id, params.studentId) },
+  { method: 'GET', path: '/lists/:id/gradebook', auth: true, handler: (request, env, { user, params }) => getGradebook(request, env, user.id, params.id) },
+  { method: 'PUT', path: '/lists/:id/gradebook', auth: true, handler: (request, env, { user, params }) => updateGradebookWeights(request, env, user.id, params.id) },
+  { method: 'GET', path: '/lists/:id/gradebook/export', auth: true, handler: (request, env, { user, params }) => exportGradebook(request, env, user.id, params.id) },
+  { method: 'GET', path: '/lists/:id/shares', auth: true, handler: (request, env, { user, params }) => getListShares(request, env, user.id, params.id) },
+  { method: 'POST', path: '/lists/:id/shares', auth: true, handler: (request, env, { user, params }) => shareList(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/lists/:id/shares', auth: true, handler: (request, env, { user, params }) => revokeListShares(request, env, user.id, params.id) },
+
+  // Enlaces para estudiantes: se revocan por id; el enlace público se abre sin sesión
+  { method: 'DELETE', path: '/shares/:id', auth: true, handler: (request, env, { user, params }) => revokeShare(request, env, user.id, params.id) },
+  { method: 'GET', path: '/public/reports/:token', auth: false, handler: (request, env, { params }) => getSharedReport(request, env, params.token) },
+  { method: 'POST', path: '/public/reports/:token/messages', auth: false, handler: (request, env, { params }) => postSharedMessage(request, env, params.token) },
+
+  // Bandeja de solicitudes de los estudiantes
+  { method: 'GET', path: '/messages', auth: true, handler: (request, env, { user }) => getInbox(request, env, user.id) },
+  { method: 'POST', path: '/messages/:id/resolve', auth: true, handler: (request, env, { user, params }) => resolveMessage(request, env, user.id, params.id) },
+
+  // Estudiantes
+  { method: 'GET', path: '/students', auth: true, handler: (request, env, { user }) => getStudents(request, env, user.id) },
+  { method: 'POST', path: '/students', auth: true, handler: (request, env, { user }) => createStudent(request, env, user.id) },
+  { method: 'GET', path: '/students/:id', auth: true, handler: (request, env, { user, params }) => getStudent(request, env, user.id, params.id) },
+  { method: 'PUT', path: '/students/:id', auth: true, handler: (request, env, { user, params }) => updateStudent(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/students/:id', auth: true, handler: (request, env, { user, params }) => deleteStudent(request, env, user.id, params.id) },
+
+  // Respaldo
+  { method: 'GET', path: '/backup', auth: true, handler: (request, env, { user }) => exportBackup(request, env, user.id) },
+
+  // Estadísticas
+  { method: 'GET', path: '/stats', auth: true, handler: (request, env, { user }) => getStats(request, env, user.id) },
+
+  // Rúbricas
+  { method: 'GET', path: '/rubrics', auth: true, handler: (request, env, { user }) => getRubrics(request, env, user.id) },
+  { method: 'POST', path: '/rubrics', auth: true, handler: (request, env, { user }) => createRubric(request, env, user.id) },
+  { method: 'GET', path: '/rubrics/:id', auth: true, handler: (request, env, { user, params }) => getRubric(request, env, user.id, params.id) },
+  { method: 'PUT', path: '/rubrics/:id', auth: true, handler: (request, env, { user, params }) => updateRubric(request, env, user.id, params.id) },
+  { method: 'DELETE', path: '/rubrics/:id', auth: true, handler: (request, env, { user, params }) => deleteRubric(request, env, user.id, params.id) },
+  { method: 'GET', path: '/rubrics/:id/versions/:version', auth: true, handler: (request, env, { user, params }) => getRubricVersion(request, env, user.id, params.id, params.version) },
+
+  // Plantillas de reporte
+  { method: 'GET', path: '/templates', auth: true, handler: (request, env, { user }) => getTemplates(request, env, user) },
+  { method: 'POST', path: '/templates', auth: true, handler: (request, env, { user }) => createTemplate(request, env, user) },
+  { method: 'GET', path: '/templates/default', auth: true, handler: (request, env, { user }) => getDefaultTemplate(request, env, user) },
+  { method: 'PUT', path: '/templates/default', auth: true, handler: (request, env, { user }) => setDefaultTemplate(request, env, user) },
+  { method: 'GET', path: '/templates/:id', auth: true, handler: (request, env, { user, params }) => getTemplate(request, env, user, params.id) },
+  { method: 'PUT', path: '/templates/:id', auth: true, handler: (request, env, { user, params }) => updateTemplate(request, env, user, params.id) },
+  { method: 'DELETE', path: '/templates/:id', auth: true, handler: (request, env, { user, params }) => deleteTemplate(request, env, user, params.id) },
+];
+
+/**
+ * Segmentos no vacíos de una ruta: '/lists//5/' → ['lists', '5']
+ */
+function pathSegments(path) {
+  return path.split('/').filter(p => p);
+}
+
+// Los patrones se dividen una sola vez al cargar el módulo
+const COMPILED_ROUTES = ROUTES.map(route => ({ ...route, segments: pathSegments(route.path) }));
+
+/**
+ * Compara los segmentos de la solicitud con los de una ruta.
+ * Devuelve los parámetros capturados o null si no coincide.
+ */
+function matchSegments(routeSegments, segments) {
+  if (routeSegments.length !== segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < routeSegments.length; i++) {
+    const expected = routeSegments[i];
+    if (expected.startsWith(':')) {
+      params[expected.slice(1)] = decodeURIComponent(segments[i]);
+    } else if (expected !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// ==========================================
+// MAIN HANDLER
+// ==========================================
+
+/**
+ * Punto de entrada común de la API. Lo usan tanto la Pages Function
+ * (functions/api/[[route]].js) como el Worker (worker.js).
+ */
+export async function handleApiRequest(request, env) {
+  const url = new URL(request.url);
+  const segments = pathSegments(url.pathname.replace(/^\/api(?=\/|$)/, ''));
+
+  // Manejar solicitudes OPTIONS para CORS
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    let pathMatched = false;
+    for (const route of COMPILED_ROUTES) {
+      const params = matchSegments(route.segments, segments);
+      if (!params) continue;
+      pathMatched = true;
+      if (route.method !== request.method) continue;
+
+      let user = null;
+      if (route.auth) {
+        const auth = await authenticateSession(request, env);
+        if (auth.error) return auth.error;
+        user = auth.user;
+      }
+
+      return await route.handler(request, env, { user, params });
+    }
+
+    if (pathMatched) {
+      return errorResponse('Method Not Allowed', 405);
+    }
+    return errorResponse('Not Found', 404);
+  } catch (error) {
+    console.error('Error in API handler:', error);
+    return errorResponse(error.message || 'Internal Server Error', 500);
+  }
+}
+
+// ==========================================
+// AUTENTICACIÓN
+// ==========================================
+
+async function registerUser(request, env) {
+  try {
+    const parsed = await readBody(request, REGISTER_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const name = parsed.body.name.trim();
+    const email = parsed.body.email.trim();
+    const university = parsed.body.university.trim();
+    const { password } = parsed.body;
+
+    const existingUser = await env.DB.prepare('SELECT * FROM users WHERE email = ?').bind(email).first();
+    if (existingUser) {
+      return errorResponse('Email already registered.', 409, { fields: { email: 'Email already registered.' } });
+    }
+
+    const result = await env.DB.prepare(
+      'INSERT INTO users (name, email, university, password) VALUES (?, ?, ?, ?)'
+    ).bind(name, email, university, await hashPassword(password)).run();
+
+    const user = { id: result.meta.last_row_id, name, email, university, emailVerified: false };
+    const token = await createSession(env, user.id, request);
+    await sendVerificationEmail(env, request, user);
+    return jsonResponse({ user, token }, 201);
+  } catch (err) {
+    console.error('Registration error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function loginUser(request, env) {
+  try {
+    const parsed = await readBody(request, LOGIN_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { password } = parsed.body;
+    const email = parsed.body.email.trim();
+
+    const user = await env.DB.prepare('SELECT * FROM users WHERE email = ?').bind(email).first();
+    const check = user ? await verifyPassword(password, user.password) : { valid: false };
+    if (!check.valid) {
+      return errorResponse('Invalid email or password.', 401);
+    }
+
+    // Las contraseñas guardadas en texto plano (o con menos iteraciones) se rehashean al iniciar sesión
+    if (check.needsRehash) {
+      await env.DB.prepare('UPDATE users SET password = ? WHERE id = ?').bind(await hashPassword(password), user.id).run();
+    }
+
+    await env.DB.prepare('DELETE FROM sessions WHERE user_id = ? AND expires_at <= CURRENT_TIMESTAMP').bind(user.id).run();
+    const token = await createSession(env, user.id, request);
+
+    const loggedInUser = {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      university: user.university,
+      emailVerified: Boolean(user.email_verified_at)
+    };
+    return jsonResponse({ user: loggedInUser, token });
+  } catch (err) {
+    console.error('Login error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Busca el usuario dueño de una sesión vigente.
+ * Los tokens emitidos antes de la tabla de sesiones (columna users.token) se
+ * convierten en una sesión la primera vez que se usan.
+ */
+async function findUserByToken(token, db) {
+  try {
+    const tokenHash = await hashToken(token);
+    const session = await db.prepare(
+      `SELECT s.id AS session_id, u.id, u.name, u.email, u.university, u.email_verified_at
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash = ? AND s.expires_at > CURRENT_TIMESTAMP`
+    ).bind(tokenHash).first();
+
+    if (session) {
+      await db.prepare(
+        `UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND last_used_at < datetime('now', '-1 hour')`
+      ).bind(session.session_id).run();
+      return {
+        id: session.id,
+        name: session.name,
+        email: session.email,
+        university: session.university,
+        emailVerified: Boolean(session.email_verified_at),
+        sessionId: session.session_id
+      };
+    }
+
+    const legacyUser = await db.prepare('SELECT * FROM users WHERE token = ?').bind(token).first();
+    if (!legacyUser) return null;
+
+    const result = await db.prepare(
+      `INSERT INTO sessions (user_id, token_hash, user_agent, expires_at) VALUES (?, ?, ?, datetime('now', ?))`
+    ).bind(legacyUser.id, tokenHash, null, `+${SESSION_TTL_DAYS} days`).run();
+    await db.prepare('UPDATE users SET token = NULL WHERE id = ?').bind(legacyUser.id).run();
+    return {
+      id: legacyUser.id,
+      name: legacyUser.name,
+      email: legacyUser.email,
+      university: legacyUser.university,
+      emailVerified: Boolean(legacyUser.email_verified_at),
+      sessionId: result.meta.last_row_id
+    };
+  } catch (err) {
+    console.error('Find user error:', err);
+    return null;
+  }
+}
+
+// ==========================================
+// CONTRASEÑAS Y SESIONES
+// ==========================================
+
+// Workers limita PBKDF2 a 100.000 iteraciones
+const PASSWORD_ITERATIONS = 100000;
+const SESSION_TTL_DAYS = 30;
+
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toBase64(bits);
+}
+
+/**
+ * Hashea una contraseña con PBKDF2-SHA256 y sal aleatoria.
+ * Formato guardado: pbkdf2$<iteraciones>$<sal base64>$<hash base64>
+ */
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePasswordHash(password, salt, PASSWORD_ITERATIONS);
+  return `pbkdf2$${PASSWORD_ITERATIONS}$${toBase64(salt)}$${hash}`;
+}
+
+/**
+ * Verifica una contraseña contra el valor guardado.
+ * Devuelve { valid, needsRehash }; needsRehash indica un valor en texto plano
+ * (usuarios registrados antes del hashing) o con menos iteraciones que las actuales.
+ */
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== 'pbkdf2') {
+    return { valid: safeEqual(password, stored), needsRehash: true };
+  }
+
+  const iterations = parseInt(parts[1]);
+  const hash = await derivePasswordHash(password, fromBase64(parts[2]), iterations);
+  return { valid: safeEqual(hash, parts[3]), needsRehash: iterations < PASSWORD_ITERATIONS };
+}
+
+/**
+ * En la base solo se guarda el SHA-256 del token de sesión
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function createSession(env, userId, request) {
+  const token = generateToken();
+  await env.DB.prepare(
+    `INSERT INTO sessions (user_id, token_hash, user_agent, expires_at) VALUES (?, ?, ?, datetime('now', ?))`
+  ).bind(userId, await hashToken(token), request.headers.get('User-Agent'), `+${SESSION_TTL_DAYS} days`).run();
+  return token;
+}
+
+async function authenticateSession(request, env) {
+  const token = extractToken(request);
+  if (!token) {
+    return { error: errorResponse('Authentication required', 401) };
+  }
+  const user = await findUserByToken(token, env.DB);
+  if (!user) {
+    return { error: errorResponse('Invalid token', 401) };
+  }
+  return { user };
+}
+
+/**
+ * Cierra la sesión actual revocando su token en el servidor
+ */
+async function logoutUser(request, env, user) {
+  try {
+    await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(user.sessionId).run();
+    return jsonResponse({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Sesiones vigentes del usuario (una por dispositivo); marca la sesión actual
+ */
+async function getSessions(request, env, user) {
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT id, user_agent, created_at, last_used_at, expires_at FROM sessions
+       WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP ORDER BY last_used_at DESC`
+    ).bind(user.id).all();
+    return jsonResponse(results.map(s => ({ ...s, current: s.id === user.sessionId })));
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function revokeSession(request, env, user, id) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), user.id)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Session not found', 404);
+    }
+    return jsonResponse({ message: 'Session revoked' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// CORREO
+// ==========================================
+
+/**
+ * Un mailer es un objeto con send({ to, subject, text }) que devuelve una promesa.
+ * La implementación se elige con la variable de entorno MAILER:
+ * - 'outbox' (predeterminada): guarda el correo en la tabla mail_outbox y deja en el log solo
+ *   el destinatario y el asunto; el cuerpo lleva enlaces con tokens de un solo uso.
+ * - 'console': escribe el correo completo en el log, solo para desarrollo local.
+ * Un proveedor real se agrega como otra entrada de MAILERS.
+ */
+const MAILERS = {
+  console: () => ({
+    async send({ to, subject, text }) {
+      console.log(`=== MAIL to ${to} ===\n${subject}\n\n${text}`);
+    }
+  }),
+  outbox: (env) => ({
+    async send({ to, subject, text }) {
+      console.log(`Mail to ${to} saved to outbox: ${subject}`);
+      await env.DB.prepare('INSERT INTO mail_outbox (to_address, subject, body) VALUES (?, ?, ?)')
+        .bind(to, subject, text)
+        .run();
+    }
+  })
+};
+
+function createMailer(env) {
+  const factory = MAILERS[env.MAILER] || MAILERS.outbox;
+  return factory(env);
+}
+
+function appUrl(env, request) {
+  return env.APP_URL || new URL(request.url).origin;
+}
+
+// ==========================================
+// RECUPERACIÓN DE CONTRASEÑA Y VERIFICACIÓN DE EMAIL
+// ==========================================
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFY_TOKEN_TTL_HOURS = 48;
+
+/**
+ * Crea un token de un solo uso para el propósito indicado ('reset' o 'verify').
+ * Los tokens anteriores sin usar del mismo propósito quedan invalidados.
+ */
+async function createAuthToken(env, userId, purpose, ttl) {
+  const token = generateToken();
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM auth_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL').bind(userId, purpose),
+    env.DB.prepare(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, datetime('now', ?))`
+    ).bind(userId, purpose, await hashToken(token), ttl)
+  ]);
+  return token;
+}
+
+/**
+ * Marca como usado un token vigente y devuelve el id del usuario, o null si
+ * el token no existe, ya se usó o expiró. El UPDATE condicional evita que
+ * dos solicitudes simultáneas usen el mismo token.
+ */
+async function consumeAuthToken(env, token, purpose) {
+  if (!token) return null;
+  const row = await env.DB.prepare(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`
+  ).bind(await hashToken(token), purpose).first();
+  return row ? row.user_id : null;
+}
+
+async function sendVerificationEmail(env, request, user) {
+  const token = await createAuthToken(env, user.id, 'verify', `+${VERIFY_TOKEN_TTL_HOURS} hours`);
+  await createMailer(env).send({
+    to: user.email,
+    subject: 'Confirme su correo electrónico',
+    text: `Hola ${user.name},\n\nConfirme su correo electrónico abriendo este enlace:\n` +
+      `${appUrl(env, request)}/#verify=${token}\n\nEl enlace vence en ${VERIFY_TOKEN_TTL_HOURS} horas.`
+  });
+}
+
+/**
+ * Envía un enlace para restablecer la contraseña.
+ * Responde lo mismo exista o no el email, para no revelar qué cuentas existen.
+ */
+async function forgotPassword(request, env) {
+  try {
+    const parsed = await readBody(request, FORGOT_PASSWORD_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    const user = await env.DB.prepare('SELECT id, name, email FROM users WHERE email = ?')
+      .bind(parsed.body.email.trim())
+      .first();
+    if (user) {
+      const token = await createAuthToken(env, user.id, 'reset', `+${RESET_TOKEN_TTL_MINUTES} minutes`);
+      await createMailer(env).send({
+        to: user.email,
+        subject: 'Restablecer su contraseña',
+        text: `Hola ${user.name},\n\nPara elegir una nueva contraseña abra este enlace:\n` +
+          `${appUrl(env, request)}/#reset=${token}\n\n` +
+          `El enlace vence en ${RESET_TOKEN_TTL_MINUTES} minutos y solo puede usarse una vez. ` +
+          'Si usted no lo solicitó, ignore este mensaje.'
+      });
+    }
+
+    return jsonResponse({ message: 'If the email is registered, a reset link has been sent.' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Cambia la contraseña con un token de recuperación: { token, password }.
+ * Cierra todas las sesiones abiertas del usuario y confirma su email.
+ */
+async function resetPassword(request, env) {
+  try {
+    const parsed = await readBody(request, RESET_PASSWORD_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { token, password } = parsed.body;
+
+    const userId = await consumeAuthToken(env, token, 'reset');
+    if (!userId) {
+      return errorResponse('The reset link is invalid or has expired.', 400, { code: 'invalid_token' });
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?'
+      ).bind(await hashPassword(password), userId),
+      env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId)
+    ]);
+
+    return jsonResponse({ message: 'Password updated' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Con { token } confirma el email. Sin token y con sesión iniciada,
+ * reenvía el correo de verificación.
+ */
+async function verifyEmail(request, env) {
+  try {
+    const parsed = await readBody(request, VERIFY_EMAIL_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { token } = parsed.body;
+
+    if (!token) {
+      const auth = await authenticateSession(request, env);
+      if (auth.error) return auth.error;
+      if (auth.user.emailVerified) {
+        return jsonResponse({ message: 'Email already verified' });
+      }
+      await sendVerificationEmail(env, request, auth.user);
+      return jsonResponse({ message: 'Verification email sent' });
+    }
+
+    const userId = await consumeAuthToken(env, token, 'verify');
+    if (!userId) {
+      return errorResponse('The verification link is invalid or has expired.', 400, { code: 'invalid_token' });
+    }
+    await env.DB.prepare('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ?').bind(userId).run();
+    return jsonResponse({ message: 'Email verified' });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// CALIFICACIÓN
+// ==========================================
+
+/**
+ * Recalcula los resultados de un reporte con el motor compartido.
+ * Devuelve { resultados } o { message, fields } si alguna evaluación está fuera del
+ * rango de los niveles, si el reporte no se puede calificar o si la nota enviada no
+ * coincide con la calculada.
+ */
+function computeGrade({ configuracion, nivelesDesempeno, criterios, feedback, resultados }) {
+  const outOfRange = evaluacionesFueraDeRango(criterios, nivelesDesempeno);
+  if (outOfRange.length > 0) {
+    const scores = normalizarNiveles(nivelesDesempeno).map(n => n.puntaje);
+    const message = `Evaluation must be between ${Math.min(...scores)} and ${Math.max(...scores)}, the performance level scores.`;
+    const fields = {};
+    outOfRange.forEach(({ index }) => {
+      fields[`criterios.${index}.evaluacion`] = message;
+    });
+    return { message, fields };
+  }
+
+  const calculados = calcularResultados({ configuracion, nivelesDesempeno, criterios, feedback });
+  if (!calculados) {
+    const message = 'At least one evaluated criterion is required.';
+    return { message, fields: { criterios: message } };
+  }
+  if (!notaCoincide(resultados, calculados)) {
+    const message = `Submitted grade ${resultados.notaFinal} does not match the computed grade ${calculados.notaFinal}.`;
+    return { message, fields: { 'resultados.notaFinal': message } };
+  }
+  return { resultados: calculados };
+}
+
+/**
+ * computeGrade para los handlers de un solo reporte: { resultados } o { error } con la respuesta 422
+ */
+function gradeReport(report) {
+  const grading = computeGrade(report);
+  if (grading.message) {
+    return { error: errorResponse(grading.message, 422, { fields: grading.fields }) };
+  }
+  return grading;
+}
+
+// ==========================================
+// REPORTS CRUD
+// ==========================================
+
+/**
+ * Convierte una fila de reports en el objeto que espera la interfaz.
+ * La proyección 'summary' no trae configuracion, niveles, criterios ni feedback.
+ */
+function parseReport(r) {
+  const report = {
+    ...r,
+    infoGeneral: JSON.parse(r.info_general || '{}'),
+    resultados: JSON.parse(r.resultados || '{}')
+  };
+  if ('criterios' in r) {
+    report.configuracion = JSON.parse(r.configuracion || '{}');
+    report.nivelesDesempeno = JSON.parse(r.niveles_desempeno || '[]');
+    report.criterios = JSON.parse(r.criterios || '[]');
+    report.feedback = JSON.parse(r.feedback || '{}');
+  }
+  return report;
+}
+
+/**
+ * Convierte el texto de búsqueda en una consulta FTS5: cada palabra como prefijo
+ * y todas obligatorias ('ana per' → '"ana"* "per"*'). Devuelve null si no hay palabras.
+ * Mayúsculas y tildes las resuelve el tokenizador de reports_fts.
+ */
+function ftsQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+/**
+ * Condiciones SQL para los filtros de reportes de una consulta:
+ * listaId, estudianteId, estudiante, asignatura, titulo, desde, hasta,
+ * notaMin, notaMax y q (texto libre, ver ftsQuery).
+ * Devuelve { conditions, params } para armar el WHERE.
+ */
+function reportConditions(userId, query) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (query.listaId) {
+    conditions.push('list_id = ?');
+    params.push(parseInt(query.listaId));
+  }
+  if (query.estudianteId) {
+    conditions.push('student_id = ?');
+    params.push(parseInt(query.estudianteId));
+  }
+  const studentMatch = ftsQuery(query.estudiante);
+  if (studentMatch) {
+    conditions.push('id IN (SELECT report_id FROM reports_fts WHERE reports_fts MATCH ?)');
+    params.push(`estudiante : (${studentMatch})`);
+  }
+  if (query.asignatura) {
+    conditions.push("json_extract(info_general, '$.asignatura') = ?");
+    params.push(query.asignatura);
+  }
+  if (query.titulo) {
+    conditions.push("json_extract(info_general, '$.tituloEvaluacion') = ?");
+    params.push(query.titulo);
+  }
+  if (query.desde) {
+    conditions.push("json_extract(info_general, '$.fecha') >= ?");
+    params.push(query.desde);
+  }
+  if (query.hasta) {
+    conditions.push("json_extract(info_general, '$.fecha') <= ?");
+    params.push(query.hasta);
+  }
+  if (query.notaMin) {
+    conditions.push("CAST(json_extract(resultados, '$.notaFinal') AS REAL) >= ?");
+    params.push(parseFloat(query.notaMin));
+  }
+  if (query.notaMax) {
+    conditions.push("CAST(json_extract(resultados, '$.notaFinal') AS REAL) <= ?");
+    params.push(parseFloat(query.notaMax));
+  }
+  const match = ftsQuery(query.q);
+  if (match) {
+    conditions.push('id IN (SELECT report_id FROM reports_fts WHERE reports_fts MATCH ?)');
+    params.push(match);
+  }
+
+  return { conditions, params };
+}
+
+// Expresión SQL de cada orden disponible; los NULL se reemplazan para que el cursor compare siempre.
+// La relevancia viene del JOIN con reports_fts que arma getReports.
+const REPORT_SORTS = {
+  relevancia: 'fts.relevance',
+  creado: 'created_at',
+  fecha: "COALESCE(json_extract(info_general, '$.fecha'), '')",
+  nota: "COALESCE(CAST(json_extract(resultados, '$.notaFinal') AS REAL), -1)",
+  estudiante: "LOWER(COALESCE(json_extract(info_general, '$.nombreEstudiante'), ''))",
+  titulo: "LOWER(COALESCE(json_extract(info_general, '$.tituloEvaluacion'), ''))"
+};
+
+const REPORT_SUMMARY_COLUMNS =
+  'id, user_id, list_id, student_id, rubric_id, rubric_version, info_general, resultados, created_at, updated_at';
+
+function encodeCursor(data) {
+  return toBase64(new TextEncoder().encode(JSON.stringify(data)));
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64(cursor)));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reportes del usuario con filtros (ver reportConditions), orden (sort, order),
+ * proyección (view=summary) y paginación por cursor (limit, cursor).
+ * Sin limit devuelve un arreglo con todos los reportes que cumplen los filtros;
+ * con limit devuelve { reports, nextCursor, total }.
+ */
+async function getReports(request, env, userId) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const fields = validate(REPORT_QUERY_SCHEMA, query);
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid query parameters: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const match = ftsQuery(query.q);
+    const sort = query.sort || (match ? 'relevancia' : 'creado');
+    if (sort === 'relevancia' && !match) {
+      const message = 'Sorting by relevance requires a search term (q).';
+      return errorResponse(message, 400, { code: 'validation_error', fields: { sort: message } });
+    }
+
+    const order = query.order === 'asc' ? 'asc' : 'desc';
+    const sortExpr = REPORT_SORTS[sort];
+    const columns = query.view === 'summary' ? REPORT_SUMMARY_COLUMNS : 'reports.*';
+    const { conditions, params } = reportConditions(userId, query);
+    const where = conditions.join(' AND ');
+    const orderBy = `ORDER BY ${sortExpr} ${order.toUpperCase()}, id ${order.toUpperCase()}`;
+
+    // bm25 es menor cuanto más relevante; se invierte para ordenar como las demás columnas.
+    // Pesos por columna: estudiante, título, asignatura, carrera, feedback y criterios.
+    let from = 'reports';
+    const fromParams = [];
+    if (sort === 'relevancia') {
+      from = `reports JOIN (
+          SELECT report_id, -bm25(reports_fts, 0, 10, 5, 3, 2, 1, 1) AS relevance
+          FROM reports_fts WHERE reports_fts MATCH ?
+        ) fts ON fts.report_id = reports.id`;
+      fromParams.push(match);
+    }
+
+    if (!query.limit) {
+      const { results } = await env.DB.prepare(`SELECT ${columns} FROM ${from} WHERE ${where} ${orderBy}`)
+        .bind(...fromParams, ...params)
+        .all();
+      return jsonResponse(results.map(parseReport));
+    }
+
+    // El cursor guarda el valor de orden y el id del último reporte de la página anterior
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+        return errorResponse('Invalid cursor for this sort order.', 400, { code: 'invalid_cursor', fields: { cursor: 'Invalid cursor.' } });
+      }
+      const op = order === 'asc' ? '>' : '<';
+      pageConditions.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND id ${op} ?))`);
+      pageParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const limit = parseInt(query.limit);
+    const [page, count] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT ${columns}, ${sortExpr} AS sort_value FROM ${from}
+         WHERE ${pageConditions.join(' AND ')} ${orderBy} LIMIT ?`
+      ).bind(...fromParams, ...pageParams, limit + 1),
+      env.DB.prepare(`SELECT COUNT(*) AS total FROM reports WHERE ${where}`).bind(...params)
+    ]);
+
+    const rows = page.results.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = page.results.length > limit
+      ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+      : null;
+
+    return jsonResponse({
+      reports: rows.map(({ sort_value, ...r }) => parseReport(r)),
+      nextCursor,
+      total: count.results[0].total
+    });
+  } catch (err) {
+    console.error('Get reports error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function getReport(request, env, userId, id) {
+  try {
+    const report = await env.DB.prepare('SELECT * FROM reports WHERE id = ? AND user_id = ?').bind(id, userId).first();
+    if (!report) {
+      return errorResponse('Report not found', 404);
+    }
+    return jsonResponse(parseReport(report));
+  } catch (err) {
+    console.error('Get report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+function reportIdConflict() {
+  return errorResponse('Report id is already in use.', 409, { fields: { id: 'Report id is already in use.' } });
+}
+
+async function createReport(request, env, userId) {
+  try {
+    const parsed = await readBody(request, REPORT_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+    const { id, infoGeneral, configuracion, nivelesDesempeno, criterios, feedback } = body;
+
+    const grading = gradeReport(body);
+    if (grading.error) return grading.error;
+
+    const rubric = await resolveRubricReference(env, userId, body);
+    if (rubric.error) return rubric.error;
+
+    const student = await resolveStudentReference(env, userId, body);
+    if (student.error) return student.error;
+
+    const list = await resolveListReference(env, userId, body);
+    if (list.error) return list.error;
+
+    // Un id en blanco recibe uno nuevo; uno ya usado, de cualquier docente, es un conflicto
+    const reportId = (typeof id === 'string' ? id.trim() : '') || crypto.randomUUID();
+    if (await env.DB.prepare('SELECT 1 FROM reports WHERE id = ?').bind(reportId).first()) {
+      return reportIdConflict();
+    }
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO reports (id, user_id, list_id, student_id, rubric_id, rubric_version, info_general, configuracion, niveles_desempeno, criterios, feedback, resultados) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        reportId,
+        userId,
+        list.listId,
+        student.studentId,
+        rubric.rubricId,
+        rubric.version,
+        JSON.stringify(infoGeneral || {}),
+        JSON.stringify(configuracion || {}),
+        JSON.stringify(nivelesDesempeno || []),
+        JSON.stringify(criterios || []),
+        JSON.stringify(feedback || {}),
+        JSON.stringify(grading.resultados)
+      ),
+      appendRevision(env, userId, reportId, 'create')
+    ]);
+    
+    return jsonResponse({ id: reportId, resultados: grading.resultados }, 201);
+  } catch (err) {
+    // Otra solicitud pudo guardar el mismo id entre la consulta y el INSERT
+    if (/UNIQUE constraint failed: reports\.id/.test(err.message)) {
+      return reportIdConflict();
+    }
+    console.error('Create report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function updateReport(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, REPORT_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+    const { infoGeneral, configuracion, nivelesDesempeno, criterios, feedback } = body;
+
+    const grading = gradeReport(body);
+    if (grading.error) return grading.error;
+
+    const rubric = await resolveRubricReference(env, userId, body);
+    if (rubric.error) return rubric.error;
+
+    const student = await resolveStudentReference(env, userId, body);
+    if (student.error) return student.error;
+
+    const list = await resolveListReference(env, userId, body);
+    if (list.error) return list.error;
+
+    const before = await env.DB.prepare(
+      `SELECT r.info_general, r.criterios, r.feedback, r.resultados, l.name AS list_name
+       FROM reports r LEFT JOIN lists l ON l.id = r.list_id WHERE r.id = ? AND r.user_id = ?`
+    ).bind(id, userId).first();
+    if (!before) {
+      return errorResponse('Report not found or not authorized.', 404);
+    }
+    const changes = reportChanges(
+      { ...parseReport(before), listName: before.list_name },
+      { infoGeneral: infoGeneral || {}, criterios: criterios || [], feedback: feedback || {}, resultados: grading.resultados, listName: list.listName }
+    );
+
+    // La edición y su revisión se guardan juntas; antes se registra el estado previo
+    // si el reporte todavía no tiene historial
+    const [, result] = await env.DB.batch([
+      baselineRevision(env, userId, id),
+      env.DB.prepare(
+        `UPDATE reports SET info_general = ?, configuracion = ?, niveles_desempeno = ?, criterios = ?, feedback = ?, resultados = ?, list_id = ?, student_id = ?, rubric_id = ?, rubric_version = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`
+      ).bind(
+        JSON.stringify(infoGeneral || {}),
+        JSON.stringify(configuracion || {}),
+        JSON.stringify(nivelesDesempeno || []),
+        JSON.stringify(criterios || []),
+        JSON.stringify(feedback || {}),
+        JSON.stringify(grading.resultados),
+        list.listId,
+        student.studentId,
+        rubric.rubricId,
+        rubric.version,
+        id,
+        userId
+      ),
+      appendRevision(env, userId, id, 'update', changes)
+    ]);
+    
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Report not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Report updated', resultados: grading.resultados });
+  } catch (err) {
+    console.error('Update report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function deleteReport(request, env, userId, id) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM reports WHERE id = ? AND user_id = ?').bind(id, userId).run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Report not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Report deleted' });
+  } catch (err) {
+    console.error('Delete report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Búsqueda de texto completo (GET /reports/search?q=...) sobre estudiante, título,
+ * asignatura, carrera, feedback y nombres de criterios, sin distinguir tildes ni
+ * mayúsculas. Acepta los mismos filtros, proyección y paginación que GET /reports
+ * y ordena por relevancia salvo que se indique otro sort.
+ */
+async function searchReports(request, env, userId) {
+  const q = new URL(request.url).searchParams.get('q');
+  if (!ftsQuery(q)) {
+    const message = 'A search term is required.';
+    return errorResponse(message, 400, { code: 'validation_error', fields: { q: message } });
+  }
+  return getReports(request, env, userId);
+}
+
+// ==========================================
+// CARGA MASIVA DE REPORTES
+// ==========================================
+
+// Clave natural por defecto: un reporte por estudiante, evaluación y lista
+const DEFAULT_BULK_KEY = ['estudiante', 'evaluacion', 'lista'];
+
+/**
+ * Datos comparables de un reporte para la clave natural de la carga masiva.
+ * Los textos se comparan sin tildes ni mayúsculas; la lista es 'id:5', 'new:<nombre>' o ''.
+ */
+function bulkKeyEntry({ studentId, listKey, infoGeneral }) {
+  return {
+    studentId,
+    studentName: normalizarNombre(infoGeneral.nombreEstudiante),
+    evaluacion: normalizarNombre(infoGeneral.tituloEvaluacion),
+    lista: listKey,
+    fecha: String(infoGeneral.fecha || '').trim(),
+    asignatura: normalizarNombre(infoGeneral.asignatura)
+  };
+}
+
+/**
+ * Parte de la clave que se compara como texto; el estudiante se compara aparte
+ * (sameBulkStudent) porque puede venir por ficha o solo por nombre.
+ */
+function bulkKeyText(entry, key) {
+  return key.filter(field => field !== 'estudiante').map(field => entry[field]).join('\u0000');
+}
+
+// Mismo criterio que la interfaz: por ficha si ambos la tienen, si no por nombre normalizado
+function sameBulkStudent(a, b) {
+  if (a.studentId && b.studentId) {
+    return a.studentId === b.studentId;
+  }
+  return a.studentName === b.studentName;
+}
+
+/**
+ * Diferencias entre un reporte guardado y la fila que lo reemplazaría, para la vista previa.
+ * Compara la información general, la lista, el nivel de cada criterio, la nota final y la retroalimentación.
+ */
+function reportChanges(before, after) {
+  const changes = [];
+  const add = (field, previous, next) => {
+    const a = previous === undefined || previous === '' ? null : previous;
+    const b = next === undefined || next === '' ? null : next;
+    if (String(a) !== String(b)) {
+      changes.push({ field, before: a, after: b });
+    }
+  };
+
+  const fields = new Set([...Object.keys(before.infoGeneral), ...Object.keys(after.infoGeneral)]);
+  fields.forEach(field => add(`infoGeneral.${field}`, before.infoGeneral[field], after.infoGeneral[field]));
+  add('lista', before.listName, after.listName);
+
+  const previousLevels = new Map(before.criterios.map(c => [c.nombre, c.evaluacion]));
+  after.criterios.forEach(c => {
+    add(`criterios.${c.nombre}`, previousLevels.get(c.nombre), c.evaluacion);
+    previousLevels.delete(c.nombre);
+  });
+  previousLevels.forEach((evaluacion, nombre) => add(`criterios.${nombre}`, evaluacion, null));
+
+  add('resultados.notaFinal', before.resultados.notaFinal, after.resultados.notaFinal);
+  add('feedback.comentario', before.feedback.comentario, after.feedback.comentario);
+  return changes;
+}
+
+/**
+ * Carga masiva de reportes (POST /reports/bulk).
+ * Cuerpo: { reports, key, onConflict, dryRun }. Cada fila se valida y califica como en
+ * POST /reports y se compara con los reportes guardados por su id o, si no lo trae, por la
+ * clave natural key (por defecto estudiante + evaluación + lista). Las coincidencias se
+ * actualizan (onConflict 'update') u omiten ('skip') y el resto se crea.
+ * Con dryRun solo informa el resultado de cada fila (created, updated, skipped, error) y los
+ * cambios de las actualizaciones. Sin dryRun escribe todo en un solo batch, que D1 ejecuta
+ * como transacción; si alguna fila tiene errores no se guarda ninguna.
+ */
+async function bulkUpsertReports(request, env, userId) {
+  try {
+    const parsed = await readBody(request, BULK_REPORTS_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { reports: rows, dryRun = false, onConflict = 'update' } = parsed.body;
+    const key = parsed.body.key ? Array.from(new Set(parsed.body.key)) : DEFAULT_BULK_KEY;
+
+    const rowIds = rows.map(row => row && typeof row.id === 'string' ? row.id.trim() : '').filter(Boolean);
+    const [existingRows, lists, students, rubrics, foreignIds] = await env.DB.batch([
+      env.DB.prepare(
+        'SELECT id, list_id, student_id, info_general, criterios, feedback, resultados FROM reports WHERE user_id = ?'
+      ).bind(userId),
+      env.DB.prepare('SELECT id, name FROM lists WHERE user_id = ?').bind(userId),
+      env.DB.prepare('SELECT id FROM students WHERE user_id = ?').bind(userId),
+      env.DB.prepare(
+        `SELECT r.id, r.version AS current_version, v.version
+         FROM rubrics r JOIN rubric_versions v ON v.rubric_id = r.id WHERE r.user_id = ?`
+      ).bind(userId),
+      env.DB.prepare('SELECT id FROM reports WHERE user_id != ? AND id IN (SELECT value FROM json_each(?))')
+        .bind(userId, JSON.stringify(rowIds))
+    ]);
+
+    const listNames = new Map(lists.results.map(l => [l.id, l.name]));
+    const listsByName = new Map(lists.results.map(l => [l.name.trim().toLowerCase(), l]));
+    const studentIds = new Set(students.results.map(s => s.id));
+    const rubricVersions = new Map();
+    rubrics.results.forEach(r => {
+      const rubric = rubricVersions.get(r.id) || { current: r.current_version, versions: new Set() };
+      rubric.versions.add(r.version);
+      rubricVersions.set(r.id, rubric);
+    });
+    const takenIds = new Set(foreignIds.results.map(r => r.id));
+
+    // Reportes guardados agrupados por la parte textual de la clave
+    const existingById = new Map();
+    const existingByKey = new Map();
+    existingRows.results.forEach(r => {
+      const report = parseReport(r);
+      const stored = {
+        id: r.id,
+        listId: r.list_id,
+        studentId: r.student_id,
+        listName: listNames.get(r.list_id) || null,
+        infoGeneral: report.infoGeneral,
+        criterios: report.criterios,
+        feedback: report.feedback,
+        resultados: report.resultados
+      };
+      stored.entry = bulkKeyEntry({ studentId: r.student_id, listKey: r.list_id ? `id:${r.list_id}` : '', infoGeneral: report.infoGeneral });
+      existingById.set(r.id, stored);
+      const text = bulkKeyText(stored.entry, key);
+      existingByKey.set(text, (existingByKey.get(text) || []).concat(stored));
+    });
+
+    const results = [];
+    const writes = [];
+    const newLists = new Map();
+    const seenKeys = new Map();
+    const seenIds = new Map();
+    const matchedIds = new Map();
+
+    rows.forEach((row, index) => {
+      const result = { row: index + 1 };
+      results.push(result);
+      const fail = (message, fields = {}) => Object.assign(result, { status: 'error', message, fields });
+
+      const fields = validate(BULK_REPORT_SCHEMA, row);
+      if (Object.keys(fields).length > 0) {
+        return fail(`Invalid fields: ${Object.keys(fields).join(', ')}.`, fields);
+      }
+
+      const grading = computeGrade(row);
+      if (grading.message) {
+        return fail(grading.message, grading.fields);
+      }
+
+      // Referencias: se verifican contra los datos ya cargados del usuario
+      let rubricId = null;
+      let rubricVersion = null;
+      if (row.rubricaId) {
+        const rubric = rubricVersions.get(parseInt(row.rubricaId));
+        if (!rubric) {
+          return fail('Rubric not found', { rubricaId: 'Rubric not found' });
+        }
+        rubricId = parseInt(row.rubricaId);
+        rubricVersion = row.rubricaVersion ? parseInt(row.rubricaVersion) : rubric.current;
+        if (!rubric.versions.has(rubricVersion)) {
+          const message = `Rubric version ${rubricVersion} not found`;
+          return fail(message, { rubricaVersion: message });
+        }
+      }
+
+      const studentId = row.estudianteId ? parseInt(row.estudianteId) : null;
+      if (studentId && !studentIds.has(studentId)) {
+        return fail('Student not found', { estudianteId: 'Student not found' });
+      }
+
+      let list = { id: null, name: null, key: '' };
+      if (row.listaId) {
+        const listId = parseInt(row.listaId);
+        if (!listNames.has(listId)) {
+          return fail('List not found', { listaId: 'List not found' });
+        }
+        list = { id: listId, name: listNames.get(listId), key: `id:${listId}` };
+      } else if (row.lista && row.lista.trim()) {
+        const name = row.lista.trim();
+        const found = listsByName.get(name.toLowerCase()) || newLists.get(name.toLowerCase());
+        list = found && found.id
+          ? { id: found.id, name: found.name, key: `id:${found.id}` }
+          : { id: null, name: found ? found.name : name, key: `new:${name.toLowerCase()}`, isNew: true };
+      }
+
+      // Coincidencia: por id si la fila lo trae y es del usuario, si no por la clave natural
+      const id = typeof row.id === 'string' ? row.id.trim() : '';
+      if (id && takenIds.has(id)) {
+        return fail('Report id is already in use.', { id: 'Report id is already in use.' });
+      }
+      if (id && seenIds.has(id)) {
+        return fail(`Row repeats the report id of row ${seenIds.get(id)}.`, { id: 'Duplicate report id.' });
+      }
+
+      const entry = bulkKeyEntry({ studentId, listKey: list.key, infoGeneral: row.infoGeneral });
+      const text = bulkKeyText(entry, key);
+      const earlier = (seenKeys.get(text) || []).find(seen => !key.includes('estudiante') || sameBulkStudent(seen.entry, entry));
+      if (!id && earlier) {
+        return fail(`Row repeats the key of row ${earlier.row}.`);
+      }
+
+      let existing = id ? existingById.get(id) : null;
+      if (!existing && !id) {
+        const candidates = (existingByKey.get(text) || [])
+          .filter(stored => !key.includes('estudiante') || sameBulkStudent(stored.entry, entry));
+        if (candidates.length > 1) {
+          return fail(`Row matches ${candidates.length} saved reports; include the report id to choose one.`);
+        }
+        existing = candidates[0] || null;
+      }
+      if (existing && matchedIds.has(existing.id)) {
+        return fail(`Row updates the same report as row ${matchedIds.get(existing.id)}.`);
+      }
+
+      if (id) seenIds.set(id, result.row);
+      seenKeys.set(text, (seenKeys.get(text) || []).concat({ row: result.row, entry }));
+
+      if (existing) {
+        matchedIds.set(existing.id, result.row);
+        result.id = existing.id;
+        if (onConflict === 'skip') {
+          return Object.assign(result, { status: 'skipped', message: 'A report with the same key already exists.' });
+        }
+      } else {
+        result.id = id || crypto.randomUUID();
+      }
+
+      // Al actualizar, una fila sin lista ni estudiante conserva los del reporte guardado
+      const next = {
+        id: result.id,
+        list: list.key || !existing ? list : { id: existing.listId, name: existing.listName },
+        studentId: studentId || (existing ? existing.studentId : null),
+        rubricId,
+        rubricVersion,
+        infoGeneral: row.infoGeneral,
+        configuracion: row.configuracion || {},
+        nivelesDesempeno: row.nivelesDesempeno || [],
+        criterios: row.criterios,
+        feedback: row.feedback || {},
+        resultados: grading.resultados
+      };
+
+      if (existing) {
+        const changes = reportChanges(existing, { ...next, listName: next.list.name });
+        if (changes.length === 0) {
+          return Object.assign(result, { status: 'skipped', message: 'No changes.' });
+        }
+        result.changes = changes;
+        result.status = 'updated';
+      } else {
+        result.status = 'created';
+      }
+      if (next.list.isNew) {
+        newLists.set(next.list.name.toLowerCase(), { id: null, name: next.list.name });
+      }
+      writes.push({ ...next, update: Boolean(existing), changes: result.changes });
+    });
+
+    const summary = { created: 0, updated: 0, skipped: 0, error: 0 };
+    results.forEach(r => summary[r.status]++);
+    summary.newLists = Array.from(newLists.values()).map(l => l.name);
+
+    if (summary.error > 0 && !dryRun) {
+      const fields = {};
+      results.filter(r => r.status === 'error').forEach(r => {
+        const rowFields = Object.entries(r.fields);
+        if (rowFields.length === 0) {
+          fields[`reports.${r.row - 1}`] = r.message;
+        }
+        rowFields.forEach(([path, message]) => {
+          fields[`reports.${r.row - 1}.${path}`] = message;
+        });
+      });
+      return errorResponse(`${summary.error} row(s) have errors; no reports were imported.`, 422, {
+        code: 'validation_error',
+        fields
+      });
+    }
+
+    if (!dryRun && (writes.length > 0 || newLists.size > 0)) {
+      // Las listas nuevas se insertan primero y los reportes las referencian por nombre
+      const listValue = (list) => list.id
+        ? { sql: '?', params: [list.id] }
+        : list.name
+          ? { sql: '(SELECT id FROM lists WHERE user_id = ? AND name = ? ORDER BY id DESC LIMIT 1)', params: [userId, list.name] }
+          : { sql: '?', params: [null] };
+
+      const statements = Array.from(newLists.values()).map(l =>
+        env.DB.prepare('INSERT INTO lists (name, user_id) VALUES (?, ?)').bind(l.name, userId)
+      );
+      writes.forEach(w => {
+        const listId = listValue(w.list);
+        const data = [
+          JSON.stringify(w.infoGeneral),
+          JSON.stringify(w.configuracion),
+          JSON.stringify(w.nivelesDesempeno),
+          JSON.stringify(w.criterios),
+          JSON.stringify(w.feedback),
+          JSON.stringify(w.resultados)
+        ];
+        if (w.update) {
+          statements.push(baselineRevision(env, userId, w.id));
+        }
+        statements.push(w.update
+          ? env.DB.prepare(
+              `UPDATE reports SET info_general = ?, configuracion = ?, niveles_desempeno = ?, criterios = ?, feedback = ?, resultados = ?,
+                 list_id = ${listId.sql}, student_id = ?, rubric_id = ?, rubric_version = ?, updated_at = CURRENT_TIMESTAMP
+               WHERE id = ? AND user_id = ?`
+            ).bind(...data, ...listId.params, w.studentId, w.rubricId, w.rubricVersion, w.id, userId)
+          : env.DB.prepare(
+              `INSERT INTO reports (id, user_id, list_id, student_id, rubric_id, rubric_version, info_general, configuracion, niveles_desempeno, criterios, feedback, resultados)
+               VALUES (?, ?, ${listId.sql}, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            ).bind(w.id, userId, ...listId.params, w.studentId, w.rubricId, w.rubricVersion, ...data),
+          appendRevision(env, userId, w.id, 'bulk', w.changes)
+        );
+      });
+      await env.DB.batch(statements);
+    }
+
+    return jsonResponse({ dryRun, key, onConflict, summary, results });
+  } catch (err) {
+    console.error('Bulk reports error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// HISTORIAL DE REPORTES
+// ==========================================
+
+// Estado guardado de un reporte (r, con su lista en l) tal como lo registra el historial
+const REVISION_SNAPSHOT = `json_object(
+    'infoGeneral', json(r.info_general), 'configuracion', json(r.configuracion),
+    'nivelesDesempeno', json(r.niveles_desempeno), 'criterios', json(r.criterios),
+    'feedback', json(r.feedback), 'resultados', json(r.resultados),
+    'listaId', r.list_id, 'listName', l.name, 'estudianteId', r.student_id,
+    'rubricaId', r.rubric_id, 'rubricaVersion', r.rubric_version)`;
+
+/**
+ * Registra como primera revisión ('initial') el estado de un reporte guardado antes de que
+ * existiera el historial. Va en el batch de la escritura, antes de ella; si el reporte ya
+ * tiene historial no hace nada.
+ */
+function baselineRevision(env, userId, reportId) {
+  return env.DB.prepare(
+    `INSERT INTO report_revisions (report_id, user_id, number, source, snapshot, changes, created_at)
+     SELECT r.id, r.user_id, 1, 'initial', ${REVISION_SNAPSHOT}, '[]', r.updated_at
+     FROM reports r LEFT JOIN lists l ON l.id = r.list_id
+     WHERE r.id = ? AND r.user_id = ? AND NOT EXISTS (SELECT 1 FROM report_revisions WHERE report_id = r.id)`
+  ).bind(reportId, userId);
+}
+
+/**
+ * Agrega al historial el estado del reporte que dejó la escritura anterior del mismo batch,
+ * con el número siguiente y sus diferencias con el estado previo (reportChanges).
+ * source: 'create', 'update', 'bulk', 'regrade' o 'restore' (con la revisión restaurada).
+ */
+function appendRevision(env, userId, reportId, source, changes = [], restoredFrom = null) {
+  return env.DB.prepare(
+    `INSERT INTO report_revisions (report_id, user_id, number, source, restored_from, snapshot, changes)
+     SELECT r.id, r.user_id, (SELECT COALESCE(MAX(number), 0) + 1 FROM report_revisions WHERE report_id = r.id),
+        ?, ?, ${REVISION_SNAPSHOT}, ?
+     FROM reports r LEFT JOIN lists l ON l.id = r.list_id
+     WHERE r.id = ? AND r.user_id = ?`
+  ).bind(source, restoredFrom, JSON.stringify(changes || []), reportId, userId);
+}
+
+function parseRevision({ changes, snapshot, nota_final, ...revision }) {
+  const parsed = { ...revision, changes: JSON.parse(changes || '[]') };
+  if (snapshot !== undefined) {
+    parsed.report = JSON.parse(snapshot);
+  } else {
+    parsed.notaFinal = nota_final;
+  }
+  return parsed;
+}
+
+/**
+ * Historial de un reporte (GET /reports/:id/revisions), de la revisión más reciente a la
+ * primera, con quién hizo cada cambio, sus diferencias y la nota resultante
+ */
+async function getReportRevisions(request, env, userId, id) {
+  try {
+    const report = await env.DB.prepare('SELECT id FROM reports WHERE id = ? AND user_id = ?').bind(id, userId).first();
+    if (!report) {
+      return errorResponse('Report not found', 404);
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT v.number, v.source, v.restored_from, v.changes, v.created_at, u.name AS author,
+          json_extract(v.snapshot, '$.resultados.notaFinal') AS nota_final
+       FROM report_revisions v LEFT JOIN users u ON u.id = v.user_id
+       WHERE v.report_id = ? ORDER BY v.number DESC`
+    ).bind(id).all();
+    return jsonResponse(results.map(parseRevision));
+  } catch (err) {
+    console.error('Get report revisions error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Una revisión con el reporte completo tal como quedó (report)
+ */
+async function getReportRevision(request, env, userId, id, number) {
+  try {
+    const revision = await env.DB.prepare(
+      `SELECT v.number, v.source, v.restored_from, v.changes, v.snapshot, v.created_at, u.name AS author
+       FROM report_revisions v JOIN reports r ON r.id = v.report_id LEFT JOIN users u ON u.id = v.user_id
+       WHERE v.report_id = ? AND v.number = ? AND r.user_id = ?`
+    ).bind(id, parseInt(number), userId).first();
+    if (!revision) {
+      return errorResponse('Revision not found', 404);
+    }
+    return jsonResponse(parseRevision(revision));
+  } catch (err) {
+    console.error('Get report revision error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Restaura una revisión (POST /reports/:id/revisions/:number/restore). El reporte vuelve al
+ * contenido de esa revisión con la nota recalculada y el cambio se agrega al historial como
+ * una revisión nueva, así que restaurar no borra las posteriores. La lista, el estudiante o
+ * la rúbrica que ya no existan quedan sin asignar.
+ */
+async function restoreReportRevision(request, env, userId, id, number) {
+  try {
+    const row = await env.DB.prepare(
+      `SELECT v.number, v.snapshot, r.info_general, r.criterios, r.feedback, r.resultados, l.name AS list_name
+       FROM report_revisions v JOIN reports r ON r.id = v.report_id LEFT JOIN lists l ON l.id = r.list_id
+       WHERE v.report_id = ? AND v.number = ? AND r.user_id = ?`
+    ).bind(id, parseInt(number), userId).first();
+    if (!row) {
+      return errorResponse('Revision not found', 404);
+    }
+
+    const snapshot = JSON.parse(row.snapshot);
+    const grading = gradeReport({ ...snapshot, resultados: undefined });
+    if (grading.error) return grading.error;
+
+    const rubric = await resolveRubricReference(env, userId, snapshot);
+    const student = await resolveStudentReference(env, userId, snapshot);
+    const list = await resolveListReference(env, userId, snapshot);
+
+    const changes = reportChanges(
+      { ...parseReport(row), listName: row.list_name },
+      { ...snapshot, resultados: grading.resultados, listName: list.error ? null : list.listName }
+    );
+
+    await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE reports SET info_general = ?, configuracion = ?, niveles_desempeno = ?, criterios = ?, feedback = ?, resultados = ?, list_id = ?, student_id = ?, rubric_id = ?, rubric_version = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`
+      ).bind(
+        JSON.stringify(snapshot.infoGeneral || {}),
+        JSON.stringify(snapshot.configuracion || {}),
+        JSON.stringify(snapshot.nivelesDesempeno || []),
+        JSON.stringify(snapshot.criterios || []),
+        JSON.stringify(snapshot.feedback || {}),
+        JSON.stringify(grading.resultados),
+        list.error ? null : list.listId,
+        student.error ? null : student.studentId,
+        rubric.error ? null : rubric.rubricId,
+        rubric.error ? null : rubric.version,
+        id,
+        userId
+      ),
+      appendRevision(env, userId, id, 'restore', changes, row.number)
+    ]);
+
+    return jsonResponse({ message: 'Report restored', resultados: grading.resultados, changes });
+  } catch (err) {
+    console.error('Restore report revision error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// EXPORTACIÓN
+// ==========================================
+
+// Reportes leídos por consulta al exportar; el archivo se envía a medida que llegan
+const EXPORT_PAGE_SIZE = 200;
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Respuesta que descarga un archivo a medida que el generador produce sus partes (texto o bytes).
+ * Lo que se lee antes de llamarla, como la primera página de reportes (prefetchPages), falla
+ * con una respuesta de error; si la lectura falla a mitad del archivo, la descarga se corta.
+ */
+function fileResponse(chunks, format, filename) {
+  const encoder = new TextEncoder();
+  const iterator = chunks[Symbol.asyncIterator]();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+        }
+      } catch (err) {
+        console.error('Export stream error:', err);
+        controller.error(err);
+      }
+    },
+    async cancel() {
+      await iterator.return();
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Nombre de archivo sin tildes ni espacios con la fecha del día: ['notas', 'Sección A'] → notas_seccion_a_2024-05-02.xlsx
+ */
+function exportFilename(parts, format) {
+  const name = parts.map(claveNivel).filter(Boolean).join('_');
+  return `${name}_${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+function exportFile(rows, format, sheetName, filename) {
+  const chunks = format === 'xlsx' ? generarXLSX([{ nombre: sheetName, filas: rows }]) : generarCSV(rows);
+  return fileResponse(chunks, format, filename);
+}
+
+// Número para la planilla (XLSX lo guarda como número); vacío si no hay valor
+function sheetNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : '';
+}
+
+/**
+ * Reportes que cumplen los filtros (ver reportConditions), de a EXPORT_PAGE_SIZE por consulta
+ * con la misma paginación por clave que getReports, para no cargarlos todos a la vez
+ */
+async function* reportPages(env, userId, query, sort, order) {
+  const sortExpr = REPORT_SORTS[sort];
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const op = order === 'desc' ? '<' : '>';
+  const { conditions, params } = reportConditions(userId, query);
+  let last = null;
+
+  while (true) {
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (last) {
+      pageConditions.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND id ${op} ?))`);
+      pageParams.push(last.sort_value, last.sort_value, last.id);
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT *, ${sortExpr} AS sort_value FROM reports
+       WHERE ${pageConditions.join(' AND ')} ORDER BY ${sortExpr} ${direction}, id ${direction} LIMIT ?`
+    ).bind(...pageParams, EXPORT_PAGE_SIZE).all();
+
+    if (results.length > 0) {
+      yield results.map(({ sort_value, ...r }) => parseReport(r));
+    }
+    if (results.length < EXPORT_PAGE_SIZE) return;
+    last = results[results.length - 1];
+  }
+}
+
+/**
+ * Lee la primera página de reportPages antes de responder: si la consulta falla, la
+ * exportación responde con un error en vez de cortar una descarga ya iniciada
+ */
+async function prefetchPages(pages) {
+  const first = await pages.next();
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    yield* pages;
+  })();
+}
+
+/**
+ * Nombres de las listas y RUT de los estudiantes del usuario, para completar las filas exportadas
+ */
+async function exportLookups(env, userId) {
+  const [lists, students] = await env.DB.batch([
+    env.DB.prepare('SELECT id, name FROM lists WHERE user_id = ?').bind(userId),
+    env.DB.prepare('SELECT id, rut FROM students WHERE user_id = ?').bind(userId)
+  ]);
+  return {
+    lists: new Map(lists.results.map(l => [l.id, l.name])),
+    ruts: new Map(students.results.map(s => [s.id, s.rut]))
+  };
+}
+
+const GRADE_SHEET_HEADER = ['Estudiante', 'RUT', 'Lista', 'Asignatura', 'Evaluación', 'Fecha', 'Nota', 'Puntaje', 'Puntaje máximo', 'Logro (%)', 'Estado'];
+
+// Posiciones de las columnas de la planilla de notas que muestra la plantilla del usuario
+function gradeSheetColumns(design) {
+  const hidden = [
+    ...(design.mostrarPuntaje ? [] : ['Puntaje', 'Puntaje máximo']),
+    ...(design.mostrarLogro ? [] : ['Logro (%)'])
+  ];
+  return GRADE_SHEET_HEADER.map((column, i) => hidden.includes(column) ? -1 : i).filter(i => i >= 0);
+}
+
+function gradeSheetRow(report, lookups) {
+  const { infoGeneral: info, resultados } = report;
+  const nota = sheetNumber(resultados.notaFinal);
+  const logro = sheetNumber(resultados.porcentajeLogro);
+  const { notaAprobacion } = normalizarConfiguracion(report.configuracion);
+  return [
+    info.nombreEstudiante,
+    lookups.ruts.get(report.student_id) || '',
+    lookups.lists.get(report.list_id) || '',
+    info.asignatura || '',
+    info.tituloEvaluacion || '',
+    info.fecha || '',
+    nota,
+    sheetNumber(resultados.puntajeTotal),
+    sheetNumber(resultados.puntajeMaximo),
+    logro === '' ? '' : Math.round(logro * 10) / 10,
+    nota === '' ? '' : nota >= notaAprobacion ? 'Aprobado' : 'Reprobado'
+  ];
+}
+
+/**
+ * Encabezado del archivo completo para los reportes filtrados: tantos criterios como tenga
+ * el reporte con más criterios y una columna de descriptor por cada nivel usado, por clave
+ * de nivel y en orden de puntaje
+ */
+async function fullLayoutShape(env, userId, query) {
+  const { conditions, params } = reportConditions(userId, query);
+  const where = conditions.join(' AND ');
+  const [counts, levels] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT MAX(json_array_length(criterios)) AS criterios,
+          SUM(COALESCE(json_array_length(niveles_desempeno), 0) = 0) AS sin_niveles
+       FROM reports WHERE ${where}`
+    ).bind(...params),
+    env.DB.prepare(
+      `SELECT DISTINCT json_extract(n.value, '$.nombre') AS nombre, CAST(json_extract(n.value, '$.puntaje') AS REAL) AS puntaje
+       FROM (SELECT niveles_desempeno FROM reports WHERE ${where}) r, json_each(r.niveles_desempeno) n`
+    ).bind(...params)
+  ]);
+
+  // Los reportes sin niveles propios se califican con los predeterminados
+  const { criterios, sin_niveles } = counts.results[0];
+  const niveles = [...levels.results, ...(sin_niveles ? NIVELES_PREDETERMINADOS : [])]
+    .sort((a, b) => a.puntaje - b.puntaje);
+  const levelKeys = [...new Set(niveles.map(n => claveNivel(n.nombre)).filter(Boolean))];
+
+  const header = [...COLUMNAS_PLANTILLA, ...COLUMNAS_ESCALA];
+  for (let n = 1; n <= (criterios || 0); n++) {
+    header.push(...columnasCriterio(n, levelKeys));
+  }
+  header.push(...COLUMNAS_RETROALIMENTACION, 'idReporte');
+  return { header, levelKeys };
+}
+
+/**
+ * Fila del archivo completo: los mismos datos que lee la carga masiva, de modo que al
+ * importarla se obtiene el mismo reporte (idReporte actualiza ese reporte)
+ */
+function fullLayoutRow(report, shape, lookups) {
+  const configuracion = normalizarConfiguracion(report.configuracion);
+  const niveles = normalizarNiveles(report.nivelesDesempeno);
+  const feedback = report.feedback || {};
+  const values = {
+    ...report.infoGeneral,
+    rutEstudiante: lookups.ruts.get(report.student_id) || '',
+    lista: lookups.lists.get(report.list_id) || '',
+    ...configuracion,
+    niveles: textoNiveles(niveles),
+    feedbackDocente: feedback.comentario,
+    puntosAdicionales: Boolean(feedback.puntosAdicionales),
+    puntosAgregar: feedback.puntosAdicionales ? sheetNumber(feedback.puntosAgregar) : '',
+    justificacionPuntos: feedback.justificacionPuntos,
+    idReporte: report.id
+  };
+
+  report.criterios.forEach((criterio, index) => {
+    const [nombre, evaluacion, peso] = columnasCriterio(index + 1);
+    values[nombre] = criterio.nombre;
+    values[evaluacion] = sheetNumber(criterio.evaluacion);
+    values[peso] = sheetNumber(criterio.peso);
+
+    const descriptores = descriptoresCriterio(criterio, niveles);
+    niveles.forEach(nivel => {
+      values[`criterio${index + 1}_${claveNivel(nivel.nombre)}`] = descriptores[nivel.id] || '';
+    });
+  });
+
+  return shape.header.map(column => values[column] ?? '');
+}
+
+/**
+ * Exporta los reportes filtrados (GET /reports/export?format=csv|xlsx&layout=notas|completo).
+ * 'notas' es una planilla plana con una fila y la nota de cada reporte; 'completo' usa las
+ * columnas de la plantilla de carga masiva, con escala, niveles, criterios y descriptores,
+ * para volver a importarla. Acepta los filtros de GET /reports y sort/order (por defecto
+ * estudiante A-Z); el archivo se envía a medida que se leen los reportes. La planilla de
+ * notas omite el puntaje y el logro si la plantilla de reporte del usuario los oculta.
+ */
+async function exportReports(request, env, userId) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const fields = validate(REPORT_EXPORT_SCHEMA, query);
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid query parameters: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const format = query.format || 'csv';
+    const full = query.layout === 'completo';
+    const lookups = await exportLookups(env, userId);
+    const columns = full ? null : gradeSheetColumns(await activeDesign(env, userId));
+    const shape = full ? await fullLayoutShape(env, userId, query) : { header: columns.map(i => GRADE_SHEET_HEADER[i]) };
+    const pages = await prefetchPages(reportPages(env, userId, query, query.sort || 'estudiante', query.order || 'asc'));
+
+    async function* rows() {
+      yield shape.header;
+      for await (const reports of pages) {
+        for (const report of reports) {
+          if (full) {
+            yield fullLayoutRow(report, shape, lookups);
+          } else {
+            const row = gradeSheetRow(report, lookups);
+            yield columns.map(i => row[i]);
+          }
+        }
+      }
+    }
+
+    const listName = query.listaId ? lookups.lists.get(parseInt(query.listaId)) : null;
+    const filename = exportFilename([full ? 'reportes' : 'notas', listName].filter(Boolean), format);
+    return exportFile(rows(), format, full ? 'Reportes' : 'Notas', filename);
+  } catch (err) {
+    console.error('Export reports error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Exporta el libro de notas de una lista (GET /lists/:id/gradebook/export?format=csv|xlsx):
+ * una fila por estudiante con la nota de cada evaluación y el promedio final
+ */
+async function exportGradebook(request, env, userId, id) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const fields = validate(GRADEBOOK_EXPORT_SCHEMA, query);
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid query parameters: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const gradebook = await buildGradebook(env, userId, id);
+    if (!gradebook) {
+      return errorResponse('List not found', 404);
+    }
+
+    const { list, evaluaciones, estudiantes } = gradebook;
+    const rows = [
+      ['Estudiante', 'RUT', ...evaluaciones.map(e => e.peso === null ? e.titulo : `${e.titulo} (peso ${e.peso})`), 'Promedio'],
+      ...estudiantes.map(e => [
+        e.nombre,
+        e.rut || '',
+        ...evaluaciones.map(c => sheetNumber(e.notas[c.titulo]?.notaFinal)),
+        sheetNumber(e.promedio)
+      ])
+    ];
+
+    const format = query.format || 'csv';
+    return exportFile(rows, format, list.name, exportFilename(['libro', list.name], format));
+  } catch (err) {
+    console.error('Export gradebook error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Respaldo JSON de los datos del usuario (GET /backup):
+ * { version, exportedAt, lists, students, reports }. Las listas traen sus pesos y los
+ * estudiantes sus listas (listIds); los reportes van completos, como en GET /reports/:id,
+ * y se leen y envían por partes.
+ */
+async function exportBackup(request, env, userId) {
+  try {
+    const [lists, students] = await env.DB.batch([
+      env.DB.prepare('SELECT id, name, gradebook_weights, created_at FROM lists WHERE user_id = ? ORDER BY id').bind(userId),
+      env.DB.prepare(
+        `SELECT s.id, s.name, s.rut, s.email, s.created_at, s.updated_at,
+            (SELECT group_concat(ls.list_id) FROM list_students ls WHERE ls.student_id = s.id) AS list_ids
+         FROM students s WHERE s.user_id = ? ORDER BY s.id`
+      ).bind(userId)
+    ]);
+
+    const header = {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      lists: lists.results.map(({ gradebook_weights, ...list }) => ({ ...list, pesos: JSON.parse(gradebook_weights || '{}') })),
+      students: students.results.map(parseStudent)
+    };
+    const pages = await prefetchPages(reportPages(env, userId, {}, 'creado', 'asc'));
+
+    async function* chunks() {
+      yield `${JSON.stringify(header).slice(0, -1)},"reports":[`;
+      let first = true;
+      for await (const reports of pages) {
+        yield (first ? '' : ',') + reports.map(report => JSON.stringify(report)).join(',');
+        first = false;
+      }
+      yield ']}';
+    }
+
+    return fileResponse(chunks(), 'json', exportFilename(['respaldo'], 'json'));
+  } catch (err) {
+    console.error('Export backup error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// LISTS CRUD - COMPLETO CON DELETE
+// ==========================================
+
+/**
+ * Verifica que la lista del reporte (listaId) pertenezca al usuario
+ */
+async function resolveListReference(env, userId, body) {
+  const { listaId } = body;
+  if (!listaId) {
+    return { listId: null, listName: null };
+  }
+
+  const list = await env.DB.prepare('SELECT id, name FROM lists WHERE id = ? AND user_id = ?')
+    .bind(parseInt(listaId), userId)
+    .first();
+  if (!list) {
+    return { error: errorResponse('List not found', 404, { fields: { listaId: 'List not found' } }) };
+  }
+  return { listId: list.id, listName: list.name };
+}
+
+async function getLists(request, env, userId) {
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT l.*, (SELECT COUNT(*) FROM reports r WHERE r.list_id = l.id) AS report_count
+       FROM lists l WHERE l.user_id = ?`
+    ).bind(userId).all();
+    return jsonResponse(results);
+  } catch (err) {
+    console.error('Get lists error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function createList(request, env, userId) {
+  try {
+    const parsed = await readBody(request, LIST_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const name = parsed.body.name.trim();
+
+    const result = await env.DB.prepare('INSERT INTO lists (name, user_id) VALUES (?, ?)')
+      .bind(name, userId)
+      .run();
+    return jsonResponse({ id: result.meta.last_row_id, name }, 201);
+  } catch (err) {
+    console.error('Create list error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function deleteList(request, env, userId, id) {
+  try {
+    const listIdNum = parseInt(id);
+    const userIdNum = parseInt(userId);
+    if (isNaN(listIdNum) || isNaN(userIdNum)) {
+      return errorResponse('Invalid ID format', 400);
+    }
+
+    const existingList = await env.DB.prepare('SELECT * FROM lists WHERE id = ?').bind(listIdNum).first();
+    if (!existingList) {
+      return errorResponse('List not found', 404);
+    }
+    if (existingList.user_id !== userIdNum) {
+      return errorResponse('Not authorized', 403);
+    }
+
+    const result = await env.DB.prepare('DELETE FROM lists WHERE id = ? AND user_id = ?')
+      .bind(listIdNum, userIdNum)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Failed to delete list', 500);
+    }
+    return jsonResponse({
+      message: 'List deleted successfully',
+      deletedId: listIdNum,
+      rowsAffected: result.meta.rows_affected
+    });
+  } catch (err) {
+    console.error('Delete list error:', err);
+    return errorResponse(`Database error: ${err.message}`, 500);
+  }
+}
+
+async function getList(request, env, userId, id) {
+  try {
+    const list = await env.DB.prepare('SELECT * FROM lists WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), parseInt(userId))
+      .first();
+    if (!list) {
+      return errorResponse('List not found', 404);
+    }
+    return jsonResponse(list);
+  } catch (err) {
+    console.error('Get list error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function updateList(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, LIST_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const name = parsed.body.name.trim();
+    const listIdNum = parseInt(id);
+
+    const result = await env.DB.prepare('UPDATE lists SET name = ? WHERE id = ? AND user_id = ?')
+      .bind(name, listIdNum, parseInt(userId))
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('List not found or not authorized', 404);
+    }
+    return jsonResponse({ message: 'List updated', id: listIdNum, name });
+  } catch (err) {
+    console.error('Update list error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// RUBRICS CRUD
+// ==========================================
+
+function parseRubric(r) {
+  return {
+    ...r,
+    configuracion: JSON.parse(r.configuracion || '{}'),
+    nivelesDesempeno: JSON.parse(r.niveles_desempeno || '[]'),
+    criterios: JSON.parse(r.criterios || '[]')
+  };
+}
+
+/**
+ * Una rúbrica guarda solo la definición de los criterios, nunca la evaluación de un estudiante
+ */
+function sanitizeRubricCriteria(criterios) {
+  return (Array.isArray(criterios) ? criterios : []).map(criterio => {
+    const { evaluacion, nivelAlcanzado, index, ...definicion } = criterio || {};
+    return definicion;
+  });
+}
+
+/**
+ * Verifica la rúbrica referenciada por un reporte (rubricaId / rubricaVersion).
+ * Si no se indica versión se usa la versión vigente de la rúbrica.
+ */
+async function resolveRubricReference(env, userId, body) {
+  const { rubricaId, rubricaVersion } = body;
+  if (!rubricaId) {
+    return { rubricId: null, version: null };
+  }
+
+  const rubric = await env.DB.prepare('SELECT id, version FROM rubrics WHERE id = ? AND user_id = ?')
+    .bind(parseInt(rubricaId), userId)
+    .first();
+  if (!rubric) {
+    return { error: errorResponse('Rubric not found', 404, { fields: { rubricaId: 'Rubric not found' } }) };
+  }
+
+  const version = rubricaVersion ? parseInt(rubricaVersion) : rubric.version;
+  const snapshot = await env.DB.prepare('SELECT version FROM rubric_versions WHERE rubric_id = ? AND version = ?')
+    .bind(rubric.id, version)
+    .first();
+  if (!snapshot) {
+    const message = `Rubric version ${version} not found`;
+    return { error: errorResponse(message, 404, { fields: { rubricaVersion: message } }) };
+  }
+
+  return { rubricId: rubric.id, version };
+}
+
+async function getRubrics(request, env, userId) {
+  try {
+    const { results } = await env.DB.prepare('SELECT * FROM rubrics WHERE user_id = ? ORDER BY name')
+      .bind(userId)
+      .all();
+    return jsonResponse(results.map(parseRubric));
+  } catch (err) {
+    console.error('Get rubrics error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function getRubric(request, env, userId, id) {
+  try {
+    const rubric = await env.DB.prepare('SELECT * FROM rubrics WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), userId)
+      .first();
+    if (!rubric) {
+      return errorResponse('Rubric not found', 404);
+    }
+    return jsonResponse(parseRubric(rubric));
+  } catch (err) {
+    console.error('Get rubric error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function getRubricVersion(request, env, userId, id, version) {
+  try {
+    const snapshot = await env.DB.prepare(
+      `SELECT rv.*, r.name FROM rubric_versions rv
+       JOIN rubrics r ON r.id = rv.rubric_id
+       WHERE rv.rubric_id = ? AND rv.version = ? AND r.user_id = ?`
+    ).bind(parseInt(id), parseInt(version), userId).first();
+    if (!snapshot) {
+      return errorResponse('Rubric version not found', 404);
+    }
+    return jsonResponse(parseRubric(snapshot));
+  } catch (err) {
+    console.error('Get rubric version error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function createRubric(request, env, userId) {
+  try {
+    const parsed = await readBody(request, RUBRIC_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+
+    const name = String(body.name).trim();
+    const configuracion = JSON.stringify(body.configuracion || {});
+    const niveles = JSON.stringify(body.nivelesDesempeno);
+    const criterios = JSON.stringify(sanitizeRubricCriteria(body.criterios));
+
+    // La rúbrica y su primera versión se guardan en una sola transacción
+    const [result] = await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO rubrics (user_id, name, version, configuracion, niveles_desempeno, criterios)
+         VALUES (?, ?, 1, ?, ?, ?)`
+      ).bind(userId, name, configuracion, niveles, criterios),
+      env.DB.prepare(
+        `INSERT INTO rubric_versions (rubric_id, version, configuracion, niveles_desempeno, criterios)
+         VALUES ((SELECT MAX(id) FROM rubrics WHERE user_id = ?), 1, ?, ?, ?)`
+      ).bind(userId, configuracion, niveles, criterios)
+    ]);
+
+    const rubricId = result.meta.last_row_id;
+
+    return jsonResponse({ id: rubricId, name, version: 1 }, 201);
+  } catch (err) {
+    console.error('Create rubric error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Actualizar una rúbrica crea una nueva versión; las anteriores se conservan
+ * para los reportes que fueron calificados con ellas.
+ */
+async function updateRubric(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, RUBRIC_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+
+    const existing = await env.DB.prepare('SELECT id, version FROM rubrics WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), userId)
+      .first();
+    if (!existing) {
+      return errorResponse('Rubric not found or not authorized.', 404);
+    }
+
+    const name = String(body.name).trim();
+    const version = existing.version + 1;
+    const configuracion = JSON.stringify(body.configuracion || {});
+    const niveles = JSON.stringify(body.nivelesDesempeno);
+    const criterios = JSON.stringify(sanitizeRubricCriteria(body.criterios));
+
+    await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE rubrics SET name = ?, version = ?, configuracion = ?, niveles_desempeno = ?, criterios = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`
+      ).bind(name, version, configuracion, niveles, criterios, existing.id, userId),
+      env.DB.prepare(
+        'INSERT INTO rubric_versions (rubric_id, version, configuracion, niveles_desempeno, criterios) VALUES (?, ?, ?, ?, ?)'
+      ).bind(existing.id, version, configuracion, niveles, criterios)
+    ]);
+
+    return jsonResponse({ message: 'Rubric updated', id: existing.id, name, version });
+  } catch (err) {
+    console.error('Update rubric error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function deleteRubric(request, env, userId, id) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM rubrics WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), userId)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Rubric not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Rubric deleted' });
+  } catch (err) {
+    console.error('Delete rubric error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// PLANTILLAS DE REPORTE
+// ==========================================
+
+// Proveedores de correo personal: compartir uno de estos dominios no identifica a una institución
+const PERSONAL_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'hotmail.com', 'outlook.com', 'live.com', 'yahoo.com', 'icloud.com', 'proton.me', 'protonmail.com'];
+
+/**
+ * Dominio institucional de un docente: el de su correo verificado, o null si no lo
+ * verificó o es de un proveedor personal
+ */
+function institutionDomain(email, verified) {
+  const domain = verified ? String(email || '').split('@').pop().trim().toLowerCase() : '';
+  return domain && !PERSONAL_EMAIL_DOMAINS.includes(domain) ? domain : null;
+}
+
+// Plantillas que puede usar un docente: las suyas y las institucionales de autores con el
+// correo verificado en su mismo dominio. Parámetros: id del docente y su institutionDomain
+// (con null solo ve las propias).
+const VISIBLE_TEMPLATES = `
+  FROM report_templates t JOIN users owner ON owner.id = t.user_id
+  WHERE (t.user_id = ? OR (t.institutional = 1 AND owner.email_verified_at IS NOT NULL
+    AND lower(trim(substr(owner.email, instr(owner.email, '@') + 1))) = ?))`;
+
+function parseTemplate(t, user) {
+  return {
+    id: t.id,
+    name: t.name,
+    institucional: Boolean(t.institutional),
+    propia: t.user_id === user.id,
+    autor: t.owner_name,
+    diseno: normalizarDiseno(JSON.parse(t.design || '{}')),
+    ...(t.logo !== undefined ? { logo: t.logo } : { tieneLogo: Boolean(t.has_logo) }),
+    predeterminada: Boolean(t.is_default),
+    created_at: t.created_at,
+    updated_at: t.updated_at
+  };
+}
+
+/**
+ * Lee una plantilla del cuerpo; el logo debe ser un PNG o JPEG como data URL
+ */
+async function readTemplateBody(request) {
+  const parsed = await readBody(request, TEMPLATE_SCHEMA);
+  if (parsed.error) return parsed;
+  const { logo } = parsed.body;
+  const problem = logo ? problemaLogo(logo) : null;
+  if (problem) {
+    return { error: errorResponse('Invalid fields: logo.', 400, { code: 'validation_error', fields: { logo: problem } }) };
+  }
+  return parsed;
+}
+
+/**
+ * Solo comparte plantillas quien verificó un correo institucional: la visibilidad
+ * depende de ese dominio y no del nombre de universidad, que el docente escribe libremente
+ */
+function institutionalForbidden() {
+  const message = 'Sharing a template requires a verified institutional email.';
+  return errorResponse(message, 403, { fields: { institucional: message } });
+}
+
+/**
+ * Plantilla visible para el usuario, con el logo; null si no existe o no la puede usar
+ */
+async function findTemplate(env, user, id) {
+  return env.DB.prepare(
+    `SELECT t.*, owner.name AS owner_name,
+        t.id = (SELECT report_template_id FROM users WHERE id = ?) AS is_default
+     ${VISIBLE_TEMPLATES} AND t.id = ?`
+  ).bind(user.id, user.id, institutionDomain(user.email, user.emailVerified), parseInt(id)).first();
+}
+
+/**
+ * Plantilla elegida por el usuario ({ design, logo }), o null si usa el diseño predeterminado
+ */
+async function activeTemplate(env, userId) {
+  const user = await env.DB.prepare('SELECT email, email_verified_at, report_template_id FROM users WHERE id = ?')
+    .bind(userId)
+    .first();
+  if (!user || !user.report_template_id) return null;
+  return env.DB.prepare(`SELECT t.design, t.logo ${VISIBLE_TEMPLATES} AND t.id = ?`)
+    .bind(userId, institutionDomain(user.email, user.email_verified_at), user.report_template_id)
+    .first();
+}
+
+/**
+ * Diseño de la plantilla elegida por el usuario, o el predeterminado
+ */
+async function activeDesign(env, userId) {
+  const row = await activeTemplate(env, userId);
+  return normalizarDiseno(row ? JSON.parse(row.design || '{}') : DISENO_PREDETERMINADO);
+}
+
+/**
+ * Lista las plantillas del usuario y las institucionales de su dominio de correo (sin los logos)
+ */
+async function getTemplates(request, env, user) {
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT t.id, t.user_id, t.name, t.institutional, t.design, t.created_at, t.updated_at,
+          t.logo IS NOT NULL AS has_logo, owner.name AS owner_name,
+          t.id = (SELECT report_template_id FROM users WHERE id = ?) AS is_default
+       ${VISIBLE_TEMPLATES} ORDER BY t.name`
+    ).bind(user.id, user.id, institutionDomain(user.email, user.emailVerified)).all();
+    return jsonResponse(results.map(t => parseTemplate(t, user)));
+  } catch (err) {
+    console.error('Get templates error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function getTemplate(request, env, user, id) {
+  try {
+    const template = await findTemplate(env, user, id);
+    if (!template) {
+      return errorResponse('Template not found', 404);
+    }
+    return jsonResponse(parseTemplate(template, user));
+  } catch (err) {
+    console.error('Get template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Plantilla elegida por el usuario, con el logo. Sin plantilla elegida responde el
+ * diseño predeterminado con id null.
+ */
+async function getDefaultTemplate(request, env, user) {
+  try {
+    const template = await env.DB.prepare(
+      `SELECT t.*, owner.name AS owner_name, 1 AS is_default
+       ${VISIBLE_TEMPLATES} AND t.id = (SELECT report_template_id FROM users WHERE id = ?)`
+    ).bind(user.id, institutionDomain(user.email, user.emailVerified), user.id).first();
+    if (!template) {
+      return jsonResponse({ id: null, name: 'Predeterminada', diseno: normalizarDiseno(DISENO_PREDETERMINADO), logo: null, predeterminada: true });
+    }
+    return jsonResponse(parseTemplate(template, user));
+  } catch (err) {
+    console.error('Get default template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function setDefaultTemplate(request, env, user) {
+  try {
+    const parsed = await readBody(request, DEFAULT_TEMPLATE_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    const { id } = parsed.body;
+    if (id && !(await findTemplate(env, user, id))) {
+      return errorResponse('Template not found', 404, { fields: { id: 'Template not found' } });
+    }
+    await env.DB.prepare('UPDATE users SET report_template_id = ? WHERE id = ?')
+      .bind(id ? parseInt(id) : null, user.id)
+      .run();
+    return jsonResponse({ message: 'Default template updated', id: id ? parseInt(id) : null });
+  } catch (err) {
+    console.error('Set default template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function createTemplate(request, env, user) {
+  try {
+    const parsed = await readTemplateBody(request);
+    if (parsed.error) return parsed.error;
+    const { name, institucional, diseno, logo } = parsed.body;
+    if (institucional && !institutionDomain(user.email, user.emailVerified)) {
+      return institutionalForbidden();
+    }
+
+    const result = await env.DB.prepare(
+      'INSERT INTO report_templates (user_id, name, institutional, design, logo) VALUES (?, ?, ?, ?, ?)'
+    ).bind(user.id, name.trim(), institucional ? 1 : 0, JSON.stringify(normalizarDiseno(diseno)), logo || null).run();
+
+    return jsonResponse({ id: result.meta.last_row_id, name: name.trim() }, 201);
+  } catch (err) {
+    console.error('Create template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Solo el autor edita una plantilla. Sin la propiedad logo se conserva el logo guardado;
+ * con logo null se quita.
+ */
+async function updateTemplate(request, env, user, id) {
+  try {
+    const parsed = await readTemplateBody(request);
+    if (parsed.error) return parsed.error;
+    const { name, institucional, diseno, logo } = parsed.body;
+    if (institucional && !institutionDomain(user.email, user.emailVerified)) {
+      return institutionalForbidden();
+    }
+
+    const keepLogo = !('logo' in parsed.body);
+    const result = await env.DB.prepare(
+      `UPDATE report_templates SET name = ?, institutional = ?, design = ?,
+          logo = CASE WHEN ? THEN logo ELSE ? END, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ?`
+    ).bind(name.trim(), institucional ? 1 : 0, JSON.stringify(normalizarDiseno(diseno)), keepLogo ? 1 : 0, logo || null, parseInt(id), user.id).run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Template not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Template updated', id: parseInt(id), name: name.trim() });
+  } catch (err) {
+    console.error('Update template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Los docentes que la usaban vuelven al diseño predeterminado (ON DELETE SET NULL)
+ */
+async function deleteTemplate(request, env, user, id) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM report_templates WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), user.id)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Template not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Template deleted' });
+  } catch (err) {
+    console.error('Delete template error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// ENLACES PARA ESTUDIANTES
+// ==========================================
+
+const SHARE_DEFAULT_DAYS = 30;
+
+// Estado de un enlace: los revocados y vencidos dejan de abrir el reporte de inmediato
+const SHARE_COLUMNS = `
+  s.id, s.report_id, s.created_at, s.expires_at, s.revoked_at, s.first_opened_at, s.last_opened_at, s.open_count,
+  CASE WHEN s.revoked_at IS NOT NULL THEN 'revoked'
+       WHEN s.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+       ELSE 'active' END AS status,
+  json_extract(r.info_general, '$.nombreEstudiante') AS nombreEstudiante,
+  json_extract(r.info_general, '$.tituloEvaluacion') AS tituloEvaluacion`;
+
+/**
+ * Crea un enlace de solo lectura para cada reporte. Como los tokens de sesión, el enlace
+ * lleva un token aleatorio y la tabla guarda solo su hash: el token se ve una sola vez.
+ * @returns {Promise<Array>} { id, report_id, nombreEstudiante, tituloEvaluacion, url, expires_at }
+ */
+async function createShareLinks(request, env, userId, reports, days) {
+  const links = [];
+  for (const report of reports) {
+    const token = generateToken();
+    links.push({ report, token, hash: await hashToken(token) });
+  }
+  const rows = await env.DB.batch(links.map(({ report, hash }) => env.DB.prepare(
+    `INSERT INTO share_links (user_id, report_id, token_hash, expires_at) VALUES (?, ?, ?, datetime('now', ?))
+     RETURNING id, expires_at`
+  ).bind(userId, report.id, hash, `+${days} days`)));
+
+  const base = appUrl(env, request);
+  return links.map(({ report, token }, i) => ({
+    id: rows[i].results[0].id,
+    report_id: report.id,
+    nombreEstudiante: report.nombreEstudiante,
+    tituloEvaluacion: report.tituloEvaluacion,
+    url: `${base}/#reporte=${token}`,
+    expires_at: rows[i].results[0].expires_at
+  }));
+}
+
+async function getReportShares(request, env, userId, id) {
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT ${SHARE_COLUMNS} FROM share_links s JOIN reports r ON r.id = s.report_id
+       WHERE s.report_id = ? AND s.user_id = ? ORDER BY s.created_at DESC, s.id DESC`
+    ).bind(id, userId).all();
+    return jsonResponse(results);
+  } catch (err) {
+    console.error('Get report shares error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function shareReport(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, SHARE_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    const report = await env.DB.prepare(
+      `SELECT id, json_extract(info_general, '$.nombreEstudiante') AS nombreEstudiante,
+          json_extract(info_general, '$.tituloEvaluacion') AS tituloEvaluacion
+       FROM reports WHERE id = ? AND user_id = ?`
+    ).bind(id, userId).first();
+    if (!report) {
+      return errorResponse('Report not found', 404);
+    }
+
+    const [link] = await createShareLinks(request, env, userId, [report], parsed.body.expiresInDays || SHARE_DEFAULT_DAYS);
+    return jsonResponse(link, 201);
+  } catch (err) {
+    console.error('Share report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function findUserList(env, userId, id) {
+  return env.DB.prepare('SELECT id, name FROM lists WHERE id = ? AND user_id = ?').bind(parseInt(id), userId).first();
+}
+
+async function getListShares(request, env, userId, id) {
+  try {
+    if (!(await findUserList(env, userId, id))) {
+      return errorResponse('List not found', 404);
+    }
+    const { results } = await env.DB.prepare(
+      `SELECT ${SHARE_COLUMNS} FROM share_links s JOIN reports r ON r.id = s.report_id
+       WHERE r.list_id = ? AND s.user_id = ?
+       ORDER BY json_extract(r.info_general, '$.nombreEstudiante') COLLATE NOCASE, s.created_at DESC, s.id DESC`
+    ).bind(parseInt(id), userId).all();
+    return jsonResponse(results);
+  } catch (err) {
+    console.error('Get list shares error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Crea un enlace nuevo para cada reporte de la lista; los enlaces anteriores siguen vigentes
+ */
+async function shareList(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, SHARE_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    if (!(await findUserList(env, userId, id))) {
+      return errorResponse('List not found', 404);
+    }
+    const { results } = await env.DB.prepare(
+      `SELECT id, json_extract(info_general, '$.nombreEstudiante') AS nombreEstudiante,
+          json_extract(info_general, '$.tituloEvaluacion') AS tituloEvaluacion
+       FROM reports WHERE list_id = ? AND user_id = ?
+       ORDER BY nombreEstudiante COLLATE NOCASE, created_at`
+    ).bind(parseInt(id), userId).all();
+    if (results.length === 0) {
+      return errorResponse('The list has no reports to share.', 422);
+    }
+
+    const links = await createShareLinks(request, env, userId, results, parsed.body.expiresInDays || SHARE_DEFAULT_DAYS);
+    return jsonResponse({ links }, 201);
+  } catch (err) {
+    console.error('Share list error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function revokeShare(request, env, userId, id) {
+  try {
+    const result = await env.DB.prepare(
+      'UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL'
+    ).bind(parseInt(id), userId).run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Share link not found or already revoked', 404);
+    }
+    return jsonResponse({ message: 'Share link revoked' });
+  } catch (err) {
+    console.error('Revoke share error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function revokeListShares(request, env, userId, id) {
+  try {
+    if (!(await findUserList(env, userId, id))) {
+      return errorResponse('List not found', 404);
+    }
+    const result = await env.DB.prepare(
+      `UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL AND report_id IN (SELECT id FROM reports WHERE list_id = ?)`
+    ).bind(userId, parseInt(id)).run();
+    return jsonResponse({ message: 'Share links revoked', revoked: result.meta.rows_affected });
+  } catch (err) {
+    console.error('Revoke list shares error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+const SHARE_NOT_FOUND = 'This link is invalid, has expired or was revoked.';
+
+/**
+ * Reporte de un enlace vigente, para el estudiante sin sesión. Solo incluye lo que
+ * muestran la vista y el PDF (sin ids ni datos del docente fuera del reporte), con la
+ * plantilla del docente y la conversación sobre el reporte, y registra la apertura.
+ * Un enlace inexistente, vencido o revocado responde siempre el mismo 404.
+ */
+async function getSharedReport(request, env, token) {
+  try {
+    const row = await env.DB.prepare(
+      `UPDATE share_links SET open_count = open_count + 1,
+          first_opened_at = COALESCE(first_opened_at, CURRENT_TIMESTAMP), last_opened_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id, report_id`
+    ).bind(await hashToken(token)).first();
+    const report = row && await env.DB.prepare('SELECT * FROM reports WHERE id = ? AND user_id = ?')
+      .bind(row.report_id, row.user_id)
+      .first();
+    if (!report) {
+      return errorResponse(SHARE_NOT_FOUND, 404);
+    }
+
+    const { infoGeneral, configuracion, nivelesDesempeno, criterios, feedback, resultados } = parseReport(report);
+    const template = await activeTemplate(env, row.user_id);
+    return jsonResponse({
+      report: { infoGeneral, configuracion, nivelesDesempeno, criterios, feedback, resultados },
+      template: {
+        diseno: normalizarDiseno(template ? JSON.parse(template.design || '{}') : DISENO_PREDETERMINADO),
+        logo: template ? template.logo : null
+      },
+      messages: await reportThread(env, row.report_id)
+    }, 200, { 'Cache-Control': 'no-store' });
+  } catch (err) {
+    console.error('Get shared report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// CONVERSACIÓN CON EL ESTUDIANTE
+// ==========================================
+
+// Mensajes que un estudiante puede dejar en un reporte, para acotar el abuso del enlace público
+const MAX_STUDENT_MESSAGES = 50;
+
+const MESSAGE_COLUMNS = `
+  m.id, m.parent_id, m.author, m.kind, m.criterion_index, m.criterion_name, m.body,
+  m.status, m.resolved_at, m.resolution, m.created_at`;
+
+function parseMessage(m) {
+  return { ...m, resolution: m.resolution ? JSON.parse(m.resolution) : null };
+}
+
+/**
+ * Conversación de un reporte en orden cronológico; la ven el docente y el estudiante
+ */
+async function reportThread(env, reportId) {
+  const { results } = await env.DB.prepare(
+    `SELECT ${MESSAGE_COLUMNS} FROM report_messages m WHERE m.report_id = ? ORDER BY m.created_at, m.id`
+  ).bind(reportId).all();
+  return results.map(parseMessage);
+}
+
+/**
+ * Mensaje del estudiante desde su enlace. Las respuestas y las recorrecciones quedan
+ * abiertas en la bandeja del docente; el acuse de recibo se registra una sola vez.
+ */
+async function postSharedMessage(request, env, token) {
+  try {
+    const parsed = await readBody(request, STUDENT_MESSAGE_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { kind, criterion } = parsed.body;
+    const text = (parsed.body.message || '').trim();
+
+    const share = await env.DB.prepare(
+      `SELECT s.id, s.user_id, s.report_id, r.criterios FROM share_links s
+       JOIN reports r ON r.id = s.report_id AND r.user_id = s.user_id
+       WHERE s.token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`
+    ).bind(await hashToken(token)).first();
+    if (!share) {
+      return errorResponse(SHARE_NOT_FOUND, 404);
+    }
+
+    const fields = {};
+    if (kind !== 'acknowledgement' && !text) {
+      fields.message = 'This field is required.';
+    }
+    const criterio = kind === 'regrade' ? JSON.parse(share.criterios || '[]')[criterion] : null;
+    if (kind === 'regrade' && !criterio) {
+      fields.criterion = 'Must be a criterion of the report.';
+    }
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid fields: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const { count, acknowledged } = await env.DB.prepare(
+      `SELECT COUNT(*) AS count, COALESCE(MAX(kind = 'acknowledgement'), 0) AS acknowledged
+       FROM report_messages WHERE report_id = ? AND author = 'student'`
+    ).bind(share.report_id).first();
+    if (count >= MAX_STUDENT_MESSAGES) {
+      return errorResponse('This report has reached its message limit.', 422);
+    }
+
+    if (!(kind === 'acknowledgement' && acknowledged)) {
+      await env.DB.prepare(
+        `INSERT INTO report_messages (report_id, user_id, share_link_id, author, kind, criterion_index, criterion_name, body, status)
+         VALUES (?, ?, ?, 'student', ?, ?, ?, ?, ?)`
+      ).bind(
+        share.report_id,
+        share.user_id,
+        share.id,
+        kind,
+        criterio ? criterion : null,
+        criterio ? criterio.nombre : null,
+        text || null,
+        kind === 'acknowledgement' ? null : 'open'
+      ).run();
+    }
+    return jsonResponse({ messages: await reportThread(env, share.report_id) }, 201, { 'Cache-Control': 'no-store' });
+  } catch (err) {
+    console.error('Post shared message error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function getReportMessages(request, env, userId, id) {
+  try {
+    const report = await env.DB.prepare('SELECT id FROM reports WHERE id = ? AND user_id = ?').bind(id, userId).first();
+    if (!report) {
+      return errorResponse('Report not found', 404);
+    }
+    return jsonResponse(await reportThread(env, id));
+  } catch (err) {
+    console.error('Get report messages error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Mensaje del docente en la conversación de un reporte, sin resolver ninguna solicitud
+ */
+async function replyToReport(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, TEACHER_MESSAGE_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    const report = await env.DB.prepare('SELECT id FROM reports WHERE id = ? AND user_id = ?').bind(id, userId).first();
+    if (!report) {
+      return errorResponse('Report not found', 404);
+    }
+    await env.DB.prepare(
+      `INSERT INTO report_messages (report_id, user_id, author, kind, body) VALUES (?, ?, 'teacher', 'reply', ?)`
+    ).bind(id, userId, parsed.body.message.trim()).run();
+    return jsonResponse({ messages: await reportThread(env, id) }, 201);
+  } catch (err) {
+    console.error('Reply to report error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Solicitudes de los estudiantes (status=open por defecto, o resolved), con el reporte
+ * al que pertenecen. Las abiertas van de la más antigua a la más reciente.
+ */
+async function getInbox(request, env, userId) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const fields = validate(MESSAGE_QUERY_SCHEMA, query);
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid query parameters: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const status = query.status || 'open';
+    const { results } = await env.DB.prepare(
+      `SELECT ${MESSAGE_COLUMNS}, m.report_id,
+          json_extract(r.info_general, '$.nombreEstudiante') AS nombreEstudiante,
+          json_extract(r.info_general, '$.tituloEvaluacion') AS tituloEvaluacion
+       FROM report_messages m JOIN reports r ON r.id = m.report_id
+       WHERE m.user_id = ? AND m.author = 'student' AND m.status = ?
+       ORDER BY m.created_at ${status === 'open' ? 'ASC' : 'DESC'}, m.id`
+    ).bind(userId, status).all();
+    return jsonResponse(results.map(parseMessage));
+  } catch (err) {
+    console.error('Get inbox error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Resuelve una solicitud abierta. En una recorrección, evaluacion (el puntaje de uno de
+ * los niveles del reporte) cambia el criterio y su nivel alcanzado, y la nota se recalcula
+ * con el motor compartido; el mensaje opcional queda como respuesta del docente. Todo se
+ * guarda en una sola transacción, junto con la revisión que deja la recorrección en el
+ * historial del reporte.
+ */
+async function resolveMessage(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, RESOLVE_MESSAGE_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const { evaluacion } = parsed.body;
+    const text = (parsed.body.message || '').trim();
+
+    const row = await env.DB.prepare(
+      `SELECT m.id, m.report_id, m.kind, m.criterion_index, m.status,
+          r.info_general, r.configuracion, r.niveles_desempeno, r.criterios, r.feedback, r.resultados
+       FROM report_messages m JOIN reports r ON r.id = m.report_id
+       WHERE m.id = ? AND m.user_id = ? AND m.author = 'student' AND m.status IS NOT NULL`
+    ).bind(parseInt(id), userId).first();
+    if (!row) {
+      return errorResponse('Request not found', 404);
+    }
+    if (row.status !== 'open') {
+      return errorResponse('This request is already resolved.', 409);
+    }
+
+    const statements = [];
+    let resolution = null;
+    let resultados = null;
+    const changesGrade = evaluacion !== undefined && evaluacion !== null && evaluacion !== '';
+    if (changesGrade) {
+      const report = parseReport(row);
+      const criterios = report.criterios.slice();
+      const criterio = row.kind === 'regrade' ? criterios[row.criterion_index] : null;
+      if (!criterio) {
+        const message = row.kind === 'regrade'
+          ? 'The criterion of this request no longer exists in the report.'
+          : 'Only regrade requests can change an evaluation.';
+        return errorResponse(message, 422, { fields: { evaluacion: message } });
+      }
+      // El nivel alcanzado se toma del nivel cuyo puntaje es la nueva evaluación
+      const nivel = normalizarNiveles(report.nivelesDesempeno).find(n => n.puntaje === Number(evaluacion));
+      if (!nivel) {
+        const message = 'Must be the score of one of the report performance levels.';
+        return errorResponse(message, 422, { fields: { evaluacion: message } });
+      }
+      criterios[row.criterion_index] = { ...criterio, evaluacion: Number(evaluacion), nivelAlcanzado: nivel.nombre };
+
+      const grading = computeGrade({
+        configuracion: report.configuracion,
+        nivelesDesempeno: report.nivelesDesempeno,
+        criterios,
+        feedback: report.feedback
+      });
+      if (grading.message) {
+        return errorResponse(grading.message, 422, { fields: { evaluacion: grading.message } });
+      }
+      resultados = grading.resultados;
+      resolution = {
+        evaluacionAnterior: criterio.evaluacion ?? null,
+        evaluacionNueva: Number(evaluacion),
+        notaAnterior: report.resultados.notaFinal ?? null,
+        notaNueva: resultados.notaFinal
+      };
+      const changes = reportChanges(report, { ...report, criterios, resultados });
+      statements.push(
+        baselineRevision(env, userId, row.report_id),
+        env.DB.prepare(
+          'UPDATE reports SET criterios = ?, resultados = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?'
+        ).bind(JSON.stringify(criterios), JSON.stringify(resultados), row.report_id, userId),
+        appendRevision(env, userId, row.report_id, 'regrade', changes)
+      );
+    }
+
+    statements.push(env.DB.prepare(
+      `UPDATE report_messages SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolution = ? WHERE id = ? AND status = 'open'`
+    ).bind(resolution ? JSON.stringify(resolution) : null, row.id));
+    if (text) {
+      statements.push(env.DB.prepare(
+        `INSERT INTO report_messages (report_id, user_id, parent_id, author, kind, body) VALUES (?, ?, ?, 'teacher', 'reply', ?)`
+      ).bind(row.report_id, userId, row.id, text));
+    }
+    await env.DB.batch(statements);
+
+    return jsonResponse({
+      message: 'Request resolved',
+      resolution,
+      resultados,
+      messages: await reportThread(env, row.report_id)
+    });
+  } catch (err) {
+    console.error('Resolve message error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// STUDENTS CRUD
+// ==========================================
+
+/**
+ * Verifica el estudiante referenciado por un reporte (estudianteId).
+ */
+async function resolveStudentReference(env, userId, body) {
+  const { estudianteId } = body;
+  if (!estudianteId) {
+    return { studentId: null };
+  }
+
+  const student = await env.DB.prepare('SELECT id FROM students WHERE id = ? AND user_id = ?')
+    .bind(parseInt(estudianteId), userId)
+    .first();
+  if (!student) {
+    return { error: errorResponse('Student not found', 404, { fields: { estudianteId: 'Student not found' } }) };
+  }
+  return { studentId: student.id };
+}
+
+function parseStudent(s) {
+  return {
+    ...s,
+    listIds: s.list_ids ? String(s.list_ids).split(',').map(Number) : []
+  };
+}
+
+function readStudentBody(body) {
+  return {
+    name: String(body.nombre || '').trim(),
+    rut: normalizarRut(body.rut),
+    email: String(body.email || '').trim().toLowerCase() || null
+  };
+}
+
+/**
+ * Devuelve los ids de las listas indicadas que pertenecen al usuario
+ */
+async function ownedListIds(env, userId, listaIds) {
+  const ids = (Array.isArray(listaIds) ? listaIds : []).map(id => parseInt(id)).filter(id => !isNaN(id));
+  if (ids.length === 0) {
+    return [];
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT id FROM lists WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`
+  ).bind(userId, ...ids).all();
+  return results.map(l => l.id);
+}
+
+async function findStudentByRut(env, userId, rut, exceptId = null) {
+  if (!rut) return null;
+  return env.DB.prepare('SELECT id FROM students WHERE user_id = ? AND rut = ? AND id IS NOT ?')
+    .bind(userId, rut, exceptId)
+    .first();
+}
+
+/**
+ * Asocia al estudiante los reportes sin ficha que llevan su nombre
+ * (reportes guardados antes de que existiera la nómina).
+ */
+async function linkUnassignedReports(env, userId, students) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, json_extract(info_general, '$.nombreEstudiante') AS nombre
+     FROM reports WHERE user_id = ? AND student_id IS NULL`
+  ).bind(userId).all();
+
+  const updates = [];
+  results.forEach(r => {
+    const student = buscarEstudiante(students, { nombre: r.nombre });
+    if (student) {
+      updates.push(env.DB.prepare('UPDATE reports SET student_id = ? WHERE id = ? AND user_id = ?').bind(student.id, r.id, userId));
+    }
+  });
+
+  if (updates.length > 0) {
+    await env.DB.batch(updates);
+  }
+  return updates.length;
+}
+
+async function getStudents(request, env, userId) {
+  try {
+    const listaId = new URL(request.url).searchParams.get('listaId');
+    let query = `SELECT s.*,
+        (SELECT group_concat(ls.list_id) FROM list_students ls WHERE ls.student_id = s.id) AS list_ids,
+        (SELECT COUNT(*) FROM reports r WHERE r.student_id = s.id) AS report_count
+      FROM students s WHERE s.user_id = ?`;
+    const params = [userId];
+
+    if (listaId) {
+      query += ' AND EXISTS (SELECT 1 FROM list_students ls WHERE ls.student_id = s.id AND ls.list_id = ?)';
+      params.push(parseInt(listaId));
+    }
+    query += ' ORDER BY s.name COLLATE NOCASE';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+    return jsonResponse(results.map(parseStudent));
+  } catch (err) {
+    console.error('Get students error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Ficha del estudiante con sus listas y el historial de reportes ordenado por fecha
+ */
+async function getStudent(request, env, userId, id) {
+  try {
+    const student = await env.DB.prepare(
+      `SELECT s.*, (SELECT group_concat(ls.list_id) FROM list_students ls WHERE ls.student_id = s.id) AS list_ids
+       FROM students s WHERE s.id = ? AND s.user_id = ?`
+    ).bind(parseInt(id), userId).first();
+    if (!student) {
+      return errorResponse('Student not found', 404);
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT id, list_id,
+          json_extract(info_general, '$.tituloEvaluacion') AS tituloEvaluacion,
+          json_extract(info_general, '$.asignatura') AS asignatura,
+          json_extract(info_general, '$.fecha') AS fecha,
+          json_extract(resultados, '$.notaFinal') AS notaFinal,
+          json_extract(resultados, '$.porcentajeLogro') AS porcentajeLogro,
+          json_extract(configuracion, '$.notaAprobacion') AS notaAprobacion
+       FROM reports WHERE student_id = ? AND user_id = ?
+       ORDER BY json_extract(info_general, '$.fecha'), created_at`
+    ).bind(student.id, userId).all();
+
+    return jsonResponse({ ...parseStudent(student), reports: results });
+  } catch (err) {
+    console.error('Get student error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function createStudent(request, env, userId) {
+  try {
+    const parsed = await readBody(request, STUDENT_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+    const student = readStudentBody(body);
+    if (await findStudentByRut(env, userId, student.rut)) {
+      return errorResponse(`A student with RUT ${student.rut} already exists.`, 409);
+    }
+
+    const result = await env.DB.prepare('INSERT INTO students (user_id, name, rut, email) VALUES (?, ?, ?, ?)')
+      .bind(userId, student.name, student.rut, student.email)
+      .run();
+    const studentId = result.meta.last_row_id;
+
+    const listIds = await ownedListIds(env, userId, body.listaIds);
+    if (listIds.length > 0) {
+      await env.DB.batch(listIds.map(listId =>
+        env.DB.prepare('INSERT OR IGNORE INTO list_students (list_id, student_id) VALUES (?, ?)').bind(listId, studentId)
+      ));
+    }
+    await linkUnassignedReports(env, userId, [{ id: studentId, name: student.name }]);
+
+    return jsonResponse({ id: studentId, ...student, listIds }, 201);
+  } catch (err) {
+    console.error('Create student error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Actualiza los datos del estudiante; si se envía listaIds, reemplaza sus listas
+ */
+async function updateStudent(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, STUDENT_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+    const student = readStudentBody(body);
+
+    const studentId = parseInt(id);
+    if (await findStudentByRut(env, userId, student.rut, studentId)) {
+      return errorResponse(`A student with RUT ${student.rut} already exists.`, 409);
+    }
+
+    const result = await env.DB.prepare(
+      'UPDATE students SET name = ?, rut = ?, email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?'
+    ).bind(student.name, student.rut, student.email, studentId, userId).run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Student not found or not authorized.', 404);
+    }
+
+    if (Array.isArray(body.listaIds)) {
+      const listIds = await ownedListIds(env, userId, body.listaIds);
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM list_students WHERE student_id = ?').bind(studentId),
+        ...listIds.map(listId =>
+          env.DB.prepare('INSERT INTO list_students (list_id, student_id) VALUES (?, ?)').bind(listId, studentId)
+        )
+      ]);
+    }
+
+    return jsonResponse({ message: 'Student updated', id: studentId, ...student });
+  } catch (err) {
+    console.error('Update student error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Eliminar un estudiante no elimina sus reportes; solo pierden la referencia a la ficha
+ */
+async function deleteStudent(request, env, userId, id) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM students WHERE id = ? AND user_id = ?')
+      .bind(parseInt(id), userId)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Student not found or not authorized.', 404);
+    }
+    return jsonResponse({ message: 'Student deleted' });
+  } catch (err) {
+    console.error('Delete student error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Importa una nómina a una lista: { estudiantes: [{ nombre, rut, email }] }
+ * Cada fila se asocia a un estudiante existente por RUT (o por nombre si no trae RUT);
+ * las que no coinciden crean un estudiante nuevo.
+ */
+async function importRoster(request, env, userId, listId) {
+  try {
+    const list = await env.DB.prepare('SELECT id FROM lists WHERE id = ? AND user_id = ?')
+      .bind(parseInt(listId), userId)
+      .first();
+    if (!list) {
+      return errorResponse('List not found', 404);
+    }
+
+    const parsed = await readBody(request, ROSTER_SCHEMA);
+    if (parsed.error) return parsed.error;
+    const body = parsed.body;
+
+    const { results: existing } = await env.DB.prepare('SELECT id, name, rut, email FROM students WHERE user_id = ?')
+      .bind(userId)
+      .all();
+
+    const errors = [];
+    const toCreate = [];
+    const toUpdate = [];
+    const rosterIds = new Set();
+
+    body.estudiantes.forEach((row, index) => {
+      const student = readStudentBody(row);
+      if (!student.name) {
+        errors.push({ row: index + 1, message: 'Student name is required.' });
+        return;
+      }
+
+      const match = buscarEstudiante(existing, { nombre: student.name, rut: student.rut })
+        || (student.rut ? buscarEstudiante(existing.filter(e => !e.rut), { nombre: student.name }) : null);
+      if (match && !match.id) {
+        errors.push({ row: index + 1, message: 'Student appears more than once in the roster.' });
+        return;
+      }
+      if (match) {
+        rosterIds.add(match.id);
+        if ((student.rut && !match.rut) || (student.email && student.email !== match.email)) {
+          toUpdate.push({ id: match.id, rut: match.rut || student.rut, email: student.email || match.email });
+          match.rut = match.rut || student.rut;
+        }
+        return;
+      }
+
+      toCreate.push(student);
+      existing.push({ id: null, ...student });
+    });
+
+    // Las altas se insertan en un solo batch para obtener sus ids
+    const created = toCreate.length > 0
+      ? await env.DB.batch(toCreate.map(s =>
+          env.DB.prepare('INSERT INTO students (user_id, name, rut, email) VALUES (?, ?, ?, ?)').bind(userId, s.name, s.rut, s.email)
+        ))
+      : [];
+    const createdStudents = created.map((result, index) => ({ id: result.meta.last_row_id, name: toCreate[index].name }));
+    createdStudents.forEach(s => rosterIds.add(s.id));
+
+    const statements = [
+      ...toUpdate.map(s =>
+        env.DB.prepare('UPDATE students SET rut = ?, email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?')
+          .bind(s.rut, s.email, s.id, userId)
+      ),
+      ...Array.from(rosterIds).map(studentId =>
+        env.DB.prepare('INSERT OR IGNORE INTO list_students (list_id, student_id) VALUES (?, ?)').bind(list.id, studentId)
+      )
+    ];
+    if (statements.length > 0) {
+      await env.DB.batch(statements);
+    }
+
+    const linkedReports = await linkUnassignedReports(env, userId, existing.filter(s => s.id).concat(createdStudents));
+
+    return jsonResponse({
+      created: createdStudents.length,
+      updated: toUpdate.length,
+      enrolled: rosterIds.size,
+      linkedReports,
+      errors
+    });
+  } catch (err) {
+    console.error('Import roster error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+async function removeStudentFromList(request, env, userId, listId, studentId) {
+  try {
+    const result = await env.DB.prepare(
+      `DELETE FROM list_students WHERE list_id = ? AND student_id = ?
+       AND list_id IN (SELECT id FROM lists WHERE user_id = ?)`
+    ).bind(parseInt(listId), parseInt(studentId), userId).run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('Student is not in this list.', 404);
+    }
+    return jsonResponse({ message: 'Student removed from list' });
+  } catch (err) {
+    console.error('Remove student from list error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// GRADEBOOK
+// ==========================================
+
+/**
+ * Libro de notas de una lista: una fila por estudiante y una columna por evaluación
+ * (tituloEvaluacion). Solo lee las columnas necesarias de cada reporte con json_extract,
+ * sin enviar el JSON completo de los reportes. Devuelve null si la lista no es del usuario.
+ */
+async function buildGradebook(env, userId, id) {
+  const list = await env.DB.prepare('SELECT id, name, gradebook_weights FROM lists WHERE id = ? AND user_id = ?')
+    .bind(parseInt(id), userId)
+    .first();
+  if (!list) {
+    return null;
+  }
+  const pesos = JSON.parse(list.gradebook_weights || '{}');
+
+  const [roster, reports] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT s.id, s.name, s.rut FROM students s
+       JOIN list_students ls ON ls.student_id = s.id
+       WHERE ls.list_id = ? AND s.user_id = ?`
+    ).bind(list.id, userId),
+    env.DB.prepare(
+      `SELECT id, student_id,
+          json_extract(info_general, '$.nombreEstudiante') AS nombreEstudiante,
+          json_extract(info_general, '$.tituloEvaluacion') AS tituloEvaluacion,
+          json_extract(info_general, '$.fecha') AS fecha,
+          json_extract(resultados, '$.notaFinal') AS notaFinal,
+          json_extract(configuracion, '$.notaAprobacion') AS notaAprobacion
+       FROM reports WHERE list_id = ? AND user_id = ?
+       ORDER BY json_extract(info_general, '$.fecha'), updated_at`
+    ).bind(list.id, userId)
+  ]);
+
+  // Filas: primero la nómina de la lista, luego los estudiantes que solo aparecen en reportes
+  const filas = new Map();
+  roster.results.forEach(s => {
+    filas.set(`s${s.id}`, { id: s.id, nombre: s.name, rut: s.rut, notas: {} });
+  });
+
+  const evaluaciones = new Map();
+  reports.results.forEach(r => {
+    const titulo = r.tituloEvaluacion || 'Sin título';
+    if (!evaluaciones.has(titulo)) {
+      evaluaciones.set(titulo, { titulo, fecha: r.fecha });
+    }
+
+    const enNomina = r.student_id
+      ? roster.results.find(s => s.id === r.student_id)
+      : buscarEstudiante(roster.results, { nombre: r.nombreEstudiante });
+    const clave = enNomina ? `s${enNomina.id}`
+      : r.student_id ? `s${r.student_id}` : `n${normalizarNombre(r.nombreEstudiante)}`;
+    if (!filas.has(clave)) {
+      filas.set(clave, { id: r.student_id, nombre: r.nombreEstudiante, rut: null, notas: {} });
+    }
+
+    // Si hay más de un reporte para la misma evaluación se usa el de fecha más reciente
+    // y, entre los de la misma fecha, el último modificado (orden de la consulta)
+    filas.get(clave).notas[titulo] = {
+      reportId: r.id,
+      notaFinal: r.notaFinal,
+      aprobado: r.notaFinal !== null && r.notaFinal >= (parseFloat(r.notaAprobacion) || CONFIGURACION_PREDETERMINADA.notaAprobacion)
+    };
+  });
+
+  const columnas = Array.from(evaluaciones.values()).map(e => ({ ...e, peso: pesos[e.titulo] ?? null }));
+  const estudiantes = Array.from(filas.values())
+    .map(fila => ({
+      ...fila,
+      promedio: promedioPonderado(columnas.map(c => ({
+        nota: fila.notas[c.titulo] ? fila.notas[c.titulo].notaFinal : null,
+        peso: c.peso
+      })))
+    }))
+    .sort((a, b) => String(a.nombre).localeCompare(String(b.nombre), 'es'));
+
+  return { list: { id: list.id, name: list.name }, pesos, evaluaciones: columnas, estudiantes };
+}
+
+async function getGradebook(request, env, userId, id) {
+  try {
+    const gradebook = await buildGradebook(env, userId, id);
+    if (!gradebook) {
+      return errorResponse('List not found', 404);
+    }
+    return jsonResponse(gradebook);
+  } catch (err) {
+    console.error('Get gradebook error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+/**
+ * Guarda los pesos del promedio final de la lista: { pesos: { [tituloEvaluacion]: peso } }
+ */
+async function updateGradebookWeights(request, env, userId, id) {
+  try {
+    const parsed = await readBody(request, GRADEBOOK_WEIGHTS_SCHEMA);
+    if (parsed.error) return parsed.error;
+
+    // Un peso vacío deja la evaluación sin peso
+    const pesos = {};
+    const fields = {};
+    Object.entries(parsed.body.pesos).forEach(([titulo, peso]) => {
+      Object.assign(fields, validate(GRADEBOOK_WEIGHT_SCHEMA, peso, `pesos.${titulo}`));
+      if (String(peso ?? '').trim() !== '') {
+        pesos[titulo] = Number(peso);
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      return errorResponse(`Invalid fields: ${Object.keys(fields).join(', ')}.`, 400, { code: 'validation_error', fields });
+    }
+
+    const result = await env.DB.prepare('UPDATE lists SET gradebook_weights = ? WHERE id = ? AND user_id = ?')
+      .bind(JSON.stringify(pesos), parseInt(id), userId)
+      .run();
+    if (result.meta.rows_affected === 0) {
+      return errorResponse('List not found or not authorized', 404);
+    }
+    return jsonResponse({ message: 'Gradebook weights updated', pesos });
+  } catch (err) {
+    console.error('Update gradebook weights error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
+
+// ==========================================
+// STATISTICS
+// ==========================================
+
+/**
+ * Arma el CTE con los reportes del usuario que cumplen los filtros de la consulta
+ * (los mismos de GET /reports, ver reportConditions). Devuelve { sql, params }.
+ */
+function statsFilter(userId, searchParams) {
+  const { conditions, params } = reportConditions(userId, Object.fromEntries(searchParams));
+
+  const sql = `WITH filtrados AS (
+      SELECT id, criterios,
+        COALESCE(json_extract(info_general, '$.tituloEvaluacion'), 'Sin título') AS titulo,
+        CAST(json_extract(resultados, '$.notaFinal') AS REAL) AS nota,
+        COALESCE(CAST(json_extract(configuracion, '$.notaAprobacion') AS REAL), ${CONFIGURACION_PREDETERMINADA.notaAprobacion}) AS aprobacion
+      FROM reports WHERE ${conditions.join(' AND ')}
+    )`;
+  return { sql, params };
+}
+
+/**
+ * Estadísticas por evaluación (tituloEvaluacion): media, mediana, desviación estándar,
+ * tasa de aprobación, histograma de notas y distribución de nivelAlcanzado por criterio.
+ * Los agregados se calculan en SQL sobre las columnas JSON; la raíz cuadrada se aplica aquí.
+ */
+async function getStats(request, env, userId) {
+  try {
+    const searchParams = new URL(request.url).searchParams;
+    const { sql: filtrados, params } = statsFilter(userId, searchParams);
+
+    const [resumen, medianas, histograma, criterios, asignaturas] = await env.DB.batch([
+      env.DB.prepare(
+        `${filtrados}
+         SELECT titulo, COUNT(nota) AS reportes, AVG(nota) AS media,
+           AVG(nota * nota) - AVG(nota) * AVG(nota) AS varianza,
+           MIN(nota) AS minima, MAX(nota) AS maxima,
+           SUM(nota >= aprobacion) AS aprobados
+         FROM filtrados WHERE nota IS NOT NULL
+         GROUP BY titulo ORDER BY titulo`
+      ).bind(...params),
+      env.DB.prepare(
+        `${filtrados}
+         SELECT titulo, AVG(nota) AS mediana FROM (
+           SELECT titulo, nota,
+             ROW_NUMBER() OVER (PARTITION BY titulo ORDER BY nota) AS fila,
+             COUNT(*) OVER (PARTITION BY titulo) AS total
+           FROM filtrados WHERE nota IS NOT NULL
+         ) WHERE fila IN ((total + 1) / 2, (total + 2) / 2)
+         GROUP BY titulo`
+      ).bind(...params),
+      env.DB.prepare(
+        `${filtrados}
+         SELECT titulo, CAST(nota AS INTEGER) AS tramo, COUNT(*) AS cantidad
+         FROM filtrados WHERE nota IS NOT NULL
+         GROUP BY titulo, tramo ORDER BY titulo, tramo`
+      ).bind(...params),
+      env.DB.prepare(
+        `${filtrados}
+         SELECT f.titulo,
+           json_extract(c.value, '$.nombre') AS criterio,
+           json_extract(c.value, '$.nivelAlcanzado') AS nivel,
+           MIN(CAST(json_extract(c.value, '$.evaluacion') AS REAL)) AS puntaje,
+           COUNT(*) AS cantidad,
+           MIN(c.key) AS orden
+         FROM filtrados f, json_each(f.criterios) c
+         GROUP BY f.titulo, criterio, nivel
+         ORDER BY f.titulo, orden, puntaje DESC`
+      ).bind(...params),
+      env.DB.prepare(
+        `SELECT DISTINCT json_extract(info_general, '$.asignatura') AS asignatura
+         FROM reports WHERE user_id = ? AND json_extract(info_general, '$.asignatura') IS NOT NULL
+         ORDER BY asignatura`
+      ).bind(userId)
+    ]);
+
+    const evaluaciones = resumen.results.map(r => {
+      const mediana = medianas.results.find(m => m.titulo === r.titulo);
+      // Desviación estándar muestral a partir de la varianza poblacional calculada en SQL
+      const desviacion = r.reportes > 1 ? Math.sqrt(Math.max(0, r.varianza) * r.reportes / (r.reportes - 1)) : 0;
+
+      const porCriterio = new Map();
+      criterios.results.filter(c => c.titulo === r.titulo).forEach(c => {
+        if (!porCriterio.has(c.criterio)) {
+          porCriterio.set(c.criterio, { nombre: c.criterio, total: 0, niveles: [] });
+        }
+        const criterio = porCriterio.get(c.criterio);
+        criterio.total += c.cantidad;
+        criterio.niveles.push({ nivel: c.nivel, puntaje: c.puntaje, cantidad: c.cantidad });
+      });
+
+      return {
+        titulo: r.titulo,
+        reportes: r.reportes,
+        media: r.media,
+        mediana: mediana ? mediana.mediana : null,
+        desviacion,
+        minima: r.minima,
+        maxima: r.maxima,
+        aprobados: r.aprobados,
+        tasaAprobacion: r.reportes > 0 ? (r.aprobados / r.reportes) * 100 : 0,
+        histograma: histograma.results
+          .filter(h => h.titulo === r.titulo)
+          .map(h => ({ tramo: h.tramo, cantidad: h.cantidad })),
+        criterios: Array.from(porCriterio.values())
+      };
+    });
+
+    return jsonResponse({
+      evaluaciones,
+      asignaturas: asignaturas.results.map(a => a.asignatura)
+    });
+  } catch (err) {
+    console.error('Get stats error:', err);
+    return errorResponse(err.message, 500);
+  }
+}
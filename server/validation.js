@@ -0,0 +1,455 @@
+/**
+ * Validación de los cuerpos JSON que recibe la API
+ * Cada esquema describe un payload con nodos { type, required, ... } y
+ * validate() devuelve los errores por campo, con la ruta del campo como clave
+ * ('infoGeneral.nombreEstudiante', 'criterios.2.evaluacion').
+ */
+
+import { MODOS_REDONDEO } from '../shared/calificacion.js';
+import { SECCIONES_REPORTE, OPCIONES_DISENO } from '../shared/diseno.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Valida un valor contra un nodo del esquema.
+ * Tipos: 'object' (properties), 'array' (items, minItems, maxItems),
+ * 'string' (minLength, maxLength, format: 'email', pattern, enum), 'number' (min, max),
+ * 'numeric' (número o texto numérico, como las celdas de un CSV), 'boolean' e
+ * 'id' (entero positivo, como número o texto).
+ * @returns {Object} Errores por ruta de campo; vacío si el valor es válido.
+ */
+export function validate(schema, value, path = '') {
+  const fields = {};
+  const fail = (message) => {
+    fields[path || 'body'] = message;
+    return fields;
+  };
+
+  if (isEmpty(value)) {
+    return schema.required ? fail('This field is required.') : fields;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('Must be an object.');
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        Object.assign(fields, validate(child, value[key], path ? `${path}.${key}` : key));
+      }
+      return fields;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('Must be a list.');
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`Must contain at least ${schema.minItems} item(s).`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`Must contain at most ${schema.maxItems} items.`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => Object.assign(fields, validate(schema.items, item, `${path}.${i}`)));
+      }
+      return fields;
+    }
+    case 'string': {
+      if (typeof value !== 'string') return fail('Must be text.');
+      const text = value.trim();
+      if (schema.minLength !== undefined && text.length < schema.minLength) {
+        return fail(`Must be at least ${schema.minLength} characters long.`);
+      }
+      if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+        return fail(`Must be at most ${schema.maxLength} characters long.`);
+      }
+      if (schema.format === 'email' && !EMAIL_PATTERN.test(text)) return fail('Must be a valid email address.');
+      if (schema.pattern && !schema.pattern.test(text)) return fail('Has an invalid format.');
+      if (schema.enum && !schema.enum.includes(value)) return fail(`Must be one of: ${schema.enum.join(', ')}.`);
+      return fields;
+    }
+    case 'number':
+    case 'numeric': {
+      const numeric = schema.type === 'numeric' && typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof numeric !== 'number' || !Number.isFinite(numeric)) return fail('Must be a number.');
+      if (schema.min !== undefined && numeric < schema.min) return fail(`Must be at least ${schema.min}.`);
+      if (schema.max !== undefined && numeric > schema.max) return fail(`Must be at most ${schema.max}.`);
+      return fields;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? fields : fail('Must be true or false.');
+    case 'id':
+      return /^[1-9]\d*$/.test(String(value)) ? fields : fail('Must be a valid id.');
+    default:
+      return fields;
+  }
+}
+
+// ==========================================
+// ESQUEMAS
+// ==========================================
+
+const optionalText = (maxLength) => ({ type: 'string', maxLength });
+const requiredText = (maxLength) => ({ type: 'string', required: true, maxLength });
+
+export const REPORT_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    id: optionalText(100),
+    listaId: { type: 'id' },
+    estudianteId: { type: 'id' },
+    rubricaId: { type: 'id' },
+    rubricaVersion: { type: 'id' },
+    infoGeneral: {
+      type: 'object',
+      required: true,
+      properties: {
+        nombreEstudiante: requiredText(200),
+        tituloEvaluacion: requiredText(200),
+        fecha: optionalText(50),
+        nombreDocente: optionalText(200),
+        asignatura: optionalText(200),
+        carrera: optionalText(200),
+        universidad: optionalText(200),
+        descripcionEvaluacion: optionalText(5000)
+      }
+    },
+    configuracion: {
+      type: 'object',
+      properties: {
+        notaMinima: { type: 'number' },
+        notaMaxima: { type: 'number' },
+        notaAprobacion: { type: 'number' },
+        exigencia: { type: 'number', min: 1, max: 100 },
+        incremento: { type: 'number', min: 0 },
+        redondeo: { type: 'string', enum: MODOS_REDONDEO }
+      }
+    },
+    nivelesDesempeno: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          nombre: requiredText(100),
+          puntaje: { type: 'numeric', required: true }
+        }
+      }
+    },
+    criterios: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          nombre: requiredText(500),
+          peso: { type: 'numeric', min: 0 },
+          evaluacion: { type: 'numeric' }
+        }
+      }
+    },
+    feedback: {
+      type: 'object',
+      properties: {
+        comentario: optionalText(10000),
+        puntosAdicionales: { type: 'boolean' },
+        puntosAgregar: { type: 'numeric' },
+        justificacionPuntos: optionalText(2000)
+      }
+    },
+    resultados: {
+      type: 'object',
+      properties: {
+        notaFinal: { type: 'number' }
+      }
+    }
+  }
+};
+
+// Fila de POST /reports/bulk: un reporte que además puede nombrar su lista (lista),
+// que se crea en la misma transacción si el usuario no tiene una con ese nombre
+export const BULK_REPORT_SCHEMA = {
+  ...REPORT_SCHEMA,
+  properties: {
+    ...REPORT_SCHEMA.properties,
+    lista: optionalText(100)
+  }
+};
+
+// Las filas se validan una a una para informar sus errores por separado
+export const BULK_REPORTS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    reports: { type: 'array', required: true, minItems: 1, maxItems: 500 },
+    key: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', required: true, enum: ['estudiante', 'evaluacion', 'lista', 'fecha', 'asignatura'] }
+    },
+    onConflict: { type: 'string', enum: ['update', 'skip'] },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+// Parámetros de GET /reports; llegan como texto desde la URL
+const DATE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+
+export const REPORT_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    listaId: { type: 'id' },
+    estudianteId: { type: 'id' },
+    estudiante: optionalText(200),
+    asignatura: optionalText(200),
+    titulo: optionalText(200),
+    desde: DATE,
+    hasta: DATE,
+    notaMin: { type: 'numeric' },
+    notaMax: { type: 'numeric' },
+    q: optionalText(200),
+    sort: { type: 'string', enum: ['relevancia', 'creado', 'fecha', 'nota', 'estudiante', 'titulo'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    view: { type: 'string', enum: ['full', 'summary'] },
+    limit: { type: 'numeric', min: 1, max: 200 },
+    cursor: optionalText(1000)
+  }
+};
+
+// Parámetros de GET /reports/export: los filtros de GET /reports, el orden (sin relevancia,
+// que depende de la búsqueda), el formato y el diseño del archivo
+const REPORT_FILTERS = Object.fromEntries(
+  Object.entries(REPORT_QUERY_SCHEMA.properties).filter(([name]) => !['sort', 'view', 'limit', 'cursor'].includes(name))
+);
+const EXPORT_FORMAT = { type: 'string', enum: ['csv', 'xlsx'] };
+
+export const REPORT_EXPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...REPORT_FILTERS,
+    sort: { type: 'string', enum: ['creado', 'fecha', 'nota', 'estudiante', 'titulo'] },
+    format: EXPORT_FORMAT,
+    layout: { type: 'string', enum: ['notas', 'completo'] }
+  }
+};
+
+export const GRADEBOOK_EXPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: EXPORT_FORMAT
+  }
+};
+
+// Pesos del promedio final de una lista: { pesos: { [tituloEvaluacion]: peso } }. Las claves
+// son los títulos de las evaluaciones, así que cada peso se valida aparte con GRADEBOOK_WEIGHT_SCHEMA
+export const GRADEBOOK_WEIGHTS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    pesos: { type: 'object', required: true }
+  }
+};
+
+export const GRADEBOOK_WEIGHT_SCHEMA = { type: 'numeric', min: 0 };
+
+export const LIST_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: requiredText(100)
+  }
+};
+
+// Ficha de estudiante; listaIds reemplaza sus listas al actualizar
+export const STUDENT_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    nombre: requiredText(200),
+    rut: optionalText(50),
+    email: { type: 'string', maxLength: 200, format: 'email' },
+    listaIds: { type: 'array', maxItems: 500, items: { type: 'id', required: true } }
+  }
+};
+
+// Nómina de una lista; las filas sin nombre no invalidan la nómina, se informan como omitidas
+export const ROSTER_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    estudiantes: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 2000,
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          nombre: optionalText(200),
+          rut: optionalText(50),
+          email: optionalText(200)
+        }
+      }
+    }
+  }
+};
+
+// Rúbrica reutilizable: niveles y definición de los criterios; la API descarta las
+// evaluaciones que traigan los criterios
+export const RUBRIC_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: requiredText(200),
+    configuracion: REPORT_SCHEMA.properties.configuracion,
+    nivelesDesempeno: { ...REPORT_SCHEMA.properties.nivelesDesempeno, required: true, minItems: 2 },
+    criterios: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          nombre: requiredText(500),
+          peso: { type: 'numeric', min: 0 }
+        }
+      }
+    }
+  }
+};
+
+// Plantilla de reporte; el logo (data URL) se revisa aparte con problemaLogo()
+export const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: requiredText(100),
+    institucional: { type: 'boolean' },
+    diseno: {
+      type: 'object',
+      required: true,
+      properties: {
+        titulo: optionalText(200),
+        encabezado: optionalText(300),
+        firma: optionalText(300),
+        piePagina: optionalText(300),
+        colorPrincipal: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ },
+        secciones: {
+          type: 'array',
+          maxItems: SECCIONES_REPORTE.length,
+          items: { type: 'string', required: true, enum: SECCIONES_REPORTE }
+        },
+        ...Object.fromEntries(OPCIONES_DISENO.map(opcion => [opcion, { type: 'boolean' }]))
+      }
+    },
+    logo: { type: 'string', maxLength: 300000 }
+  }
+};
+
+// Plantilla elegida por el usuario; sin id vuelve al diseño predeterminado
+export const DEFAULT_TEMPLATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'id' }
+  }
+};
+
+// Enlace de solo lectura para estudiantes; sin expiresInDays vence en 30 días
+export const SHARE_SCHEMA = {
+  type: 'object',
+  properties: {
+    expiresInDays: { type: 'number', min: 1, max: 365 }
+  }
+};
+
+// Mensaje del estudiante desde su enlace: acuse de recibo, respuesta o solicitud de
+// recorrección de un criterio (criterion es su posición en el reporte)
+export const STUDENT_MESSAGE_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    kind: { type: 'string', required: true, enum: ['acknowledgement', 'reply', 'regrade'] },
+    criterion: { type: 'number', min: 0 },
+    message: optionalText(2000)
+  }
+};
+
+export const TEACHER_MESSAGE_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    message: requiredText(2000)
+  }
+};
+
+// Resolución de una solicitud; evaluacion cambia el criterio de una recorrección
+export const RESOLVE_MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    evaluacion: { type: 'numeric' },
+    message: optionalText(2000)
+  }
+};
+
+// Parámetros de GET /messages (bandeja de solicitudes)
+export const MESSAGE_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['open', 'resolved'] }
+  }
+};
+
+const PASSWORD = { type: 'string', required: true, minLength: 6, maxLength: 200 };
+const EMAIL = { type: 'string', required: true, maxLength: 200, format: 'email' };
+
+export const REGISTER_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: requiredText(200),
+    email: EMAIL,
+    university: requiredText(200),
+    password: PASSWORD
+  }
+};
+
+export const LOGIN_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    email: requiredText(200),
+    password: { type: 'string', required: true, maxLength: 200 }
+  }
+};
+
+export const FORGOT_PASSWORD_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    email: EMAIL
+  }
+};
+
+export const RESET_PASSWORD_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    token: requiredText(200),
+    password: PASSWORD
+  }
+};
+
+export const VERIFY_EMAIL_SCHEMA = {
+  type: 'object',
+  properties: {
+    token: optionalText(200)
+  }
+};
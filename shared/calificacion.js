@@ -0,0 +1,332 @@
+/**
+ * Motor de calificación compartido
+ * Lo usan el formulario, la carga masiva (navegador) y la API (Pages Function),
+ * de modo que los mismos datos siempre producen la misma nota.
+ */
+
+// ==========================================
+// VALORES PREDETERMINADOS
+// ==========================================
+
+export const CONFIGURACION_PREDETERMINADA = Object.freeze({
+  notaMinima: 1.0,
+  notaMaxima: 7.0,
+  notaAprobacion: 4.0,
+  exigencia: 60,
+  incremento: 0.1,
+  redondeo: 'cercano'
+});
+
+/**
+ * Modos de redondeo de la nota final al incremento configurado
+ * - cercano: al múltiplo más cercano (3.95 → 4.0)
+ * - inferior: trunca hacia abajo (3.99 → 3.9)
+ * - superior: siempre hacia arriba (3.91 → 4.0)
+ * - aprobacion: trunca, salvo a menos de medio incremento bajo la nota de
+ *   aprobación, que sube a ella (3.95 → 4.0, 3.94 → 3.9, 5.47 → 5.4)
+ */
+export const MODOS_REDONDEO = Object.freeze(['cercano', 'inferior', 'superior', 'aprobacion']);
+
+export const NIVELES_PREDETERMINADOS = Object.freeze([
+  { id: 'insuficiente', nombre: 'Insuficiente', puntaje: 0 },
+  { id: 'regular', nombre: 'Regular', puntaje: 1 },
+  { id: 'bueno', nombre: 'Bueno', puntaje: 2 },
+  { id: 'excelente', nombre: 'Excelente', puntaje: 3 }
+]);
+
+// Columnas fijas de descriptores usadas antes de que existieran descriptores por nivel
+const CAMPOS_DESCRIPTOR_LEGADO = ['insuficiente', 'regular', 'bueno', 'excelente'];
+
+// Diferencia máxima aceptada entre la nota enviada y la calculada
+export const TOLERANCIA_NOTA = 0.05;
+
+// ==========================================
+// UTILITIES
+// ==========================================
+
+function aNumero(valor, predeterminado) {
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) ? numero : predeterminado;
+}
+
+/**
+ * Completa la configuración con los valores predeterminados y convierte a número
+ * @param {Object} configuracion - Configuración guardada en el reporte.
+ */
+export function normalizarConfiguracion(configuracion = {}) {
+  const base = CONFIGURACION_PREDETERMINADA;
+  const config = configuracion || {};
+  return {
+    ...config,
+    notaMinima: aNumero(config.notaMinima, base.notaMinima),
+    notaMaxima: aNumero(config.notaMaxima, base.notaMaxima),
+    notaAprobacion: aNumero(config.notaAprobacion, base.notaAprobacion),
+    exigencia: aNumero(config.exigencia, base.exigencia),
+    incremento: aNumero(config.incremento, 0) > 0 ? aNumero(config.incremento, 0) : base.incremento,
+    redondeo: MODOS_REDONDEO.includes(config.redondeo) ? config.redondeo : base.redondeo
+  };
+}
+
+/**
+ * Clave estable para un nombre de nivel: minúsculas, sin tildes ni espacios
+ * ('Muy Bueno' → 'muy_bueno'). Se usa en ids de nivel y columnas CSV.
+ */
+export function claveNivel(nombre) {
+  return String(nombre || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Devuelve los niveles de desempeño a usar (los del reporte o los predeterminados)
+ * Cada nivel recibe un `id` estable si no lo tenía; los descriptores de los
+ * criterios se guardan con ese id, así que renombrar un nivel no los pierde.
+ */
+export function normalizarNiveles(nivelesDesempeno) {
+  if (!Array.isArray(nivelesDesempeno) || nivelesDesempeno.length === 0) {
+    return NIVELES_PREDETERMINADOS.map(n => ({ ...n }));
+  }
+
+  const usados = new Set();
+  return nivelesDesempeno.map((n, index) => {
+    let id = n.id || claveNivel(n.nombre) || `nivel_${index + 1}`;
+    while (usados.has(id)) {
+      id = `${id}_${index + 1}`;
+    }
+    usados.add(id);
+    return { ...n, id, puntaje: aNumero(n.puntaje, 0) };
+  });
+}
+
+// ==========================================
+// DESCRIPTORES POR NIVEL
+// ==========================================
+
+/**
+ * Descriptores de un criterio en formato antiguo (excelente/bueno/regular/insuficiente)
+ * Se asocian por nombre de nivel y, si ninguno coincide y hay cuatro niveles,
+ * por orden de puntaje.
+ */
+function descriptoresLegado(criterio, niveles) {
+  if (!CAMPOS_DESCRIPTOR_LEGADO.some(campo => criterio[campo])) {
+    return {};
+  }
+
+  const resultado = {};
+  niveles.forEach(nivel => {
+    const campo = [nivel.id, claveNivel(nivel.nombre)].find(c => CAMPOS_DESCRIPTOR_LEGADO.includes(c));
+    if (campo) resultado[nivel.id] = criterio[campo] || '';
+  });
+
+  if (Object.keys(resultado).length === 0 && niveles.length === CAMPOS_DESCRIPTOR_LEGADO.length) {
+    [...niveles]
+      .sort((a, b) => a.puntaje - b.puntaje)
+      .forEach((nivel, index) => {
+        resultado[nivel.id] = criterio[CAMPOS_DESCRIPTOR_LEGADO[index]] || '';
+      });
+  }
+
+  return resultado;
+}
+
+/**
+ * Descriptores de un criterio para cada nivel configurado, como { [nivel.id]: texto }
+ * Acepta criterios con `descriptores` o con las columnas fijas antiguas.
+ * @param {Object} criterio - Criterio del reporte o de la rúbrica.
+ * @param {Array} nivelesDesempeno - Niveles configurados.
+ */
+export function descriptoresCriterio(criterio, nivelesDesempeno) {
+  const niveles = normalizarNiveles(nivelesDesempeno);
+  const guardados = (criterio && criterio.descriptores) || {};
+  const legado = descriptoresLegado(criterio || {}, niveles);
+
+  const resultado = {};
+  niveles.forEach(nivel => {
+    resultado[nivel.id] = guardados[nivel.id] ?? legado[nivel.id] ?? '';
+  });
+  return resultado;
+}
+
+/**
+ * Convierte un criterio al formato con descriptores por nivel (sin columnas fijas)
+ */
+export function normalizarCriterio(criterio, nivelesDesempeno) {
+  const { excelente, bueno, regular, insuficiente, ...resto } = criterio || {};
+  return { ...resto, descriptores: descriptoresCriterio(criterio, nivelesDesempeno) };
+}
+
+// ==========================================
+// CÁLCULO DE NOTAS
+// ==========================================
+
+/**
+ * Convierte un porcentaje de logro en nota según la escala configurada (sin redondear)
+ * @param {Number} porcentajeLogro - Porcentaje entre 0 y 100.
+ * @param {Object} configuracion - Configuración normalizada.
+ */
+export function calcularNota(porcentajeLogro, configuracion) {
+  const { notaMinima, notaMaxima, notaAprobacion, exigencia } = normalizarConfiguracion(configuracion);
+
+  if (porcentajeLogro >= exigencia) {
+    const factorExtra = exigencia >= 100 ? 1 : (porcentajeLogro - exigencia) / (100 - exigencia);
+    return notaAprobacion + (factorExtra * (notaMaxima - notaAprobacion));
+  }
+
+  const factorBase = exigencia > 0 ? porcentajeLogro / exigencia : 0;
+  return notaMinima + (factorBase * (notaAprobacion - notaMinima));
+}
+
+// Margen para evitar errores de punto flotante al dividir por el incremento
+const EPSILON = 1e-9;
+
+/**
+ * Redondea la nota al incremento configurado según el modo de redondeo
+ * Los pasos se cuentan desde la nota mínima (p. ej. 1.0, 1.5, 2.0 con incremento 0.5).
+ * @param {Number} nota - Nota sin redondear.
+ * @param {Object} configuracion - Configuración del reporte.
+ */
+export function redondearNota(nota, configuracion) {
+  const { notaMinima, notaAprobacion, incremento, redondeo } = normalizarConfiguracion(configuracion);
+  const pasos = (nota - notaMinima) / incremento;
+  const aNota = (n) => Math.round((notaMinima + n * incremento) * 10000) / 10000;
+
+  const inferior = aNota(Math.floor(pasos + EPSILON));
+  switch (redondeo) {
+    case 'inferior':
+      return inferior;
+    case 'superior':
+      return aNota(Math.ceil(pasos - EPSILON));
+    case 'aprobacion':
+      return nota < notaAprobacion && nota + incremento / 2 + EPSILON >= notaAprobacion ? notaAprobacion : inferior;
+    default:
+      return aNota(Math.floor(pasos + 0.5 + EPSILON));
+  }
+}
+
+/**
+ * Puntaje máximo (peso) de un criterio
+ * Si el criterio no define `peso`, vale el mayor puntaje entre los niveles,
+ * que es el comportamiento de los reportes sin ponderación.
+ * @param {Object} criterio - Criterio del reporte.
+ * @param {Number} maxPuntajeNivel - Mayor puntaje entre los niveles de desempeño.
+ */
+export function pesoCriterio(criterio, maxPuntajeNivel) {
+  const peso = parseFloat(criterio && criterio.peso);
+  return Number.isFinite(peso) && peso > 0 ? peso : maxPuntajeNivel;
+}
+
+/**
+ * Mayor puntaje entre los niveles de desempeño
+ */
+export function puntajeMaximoNivel(nivelesDesempeno) {
+  return Math.max(...normalizarNiveles(nivelesDesempeno).map(n => n.puntaje));
+}
+
+/**
+ * Criterios cuya evaluación queda fuera del rango de puntajes de los niveles
+ * (por ejemplo, un 9 con niveles de 0 a 3). Los criterios sin evaluar no cuentan.
+ * @returns {Array} [{ index, evaluacion }] con la posición de cada criterio fuera de rango.
+ */
+export function evaluacionesFueraDeRango(criterios, nivelesDesempeno) {
+  const puntajes = normalizarNiveles(nivelesDesempeno).map(n => n.puntaje);
+  const minimo = Math.min(...puntajes);
+  const maximo = Math.max(...puntajes);
+
+  return (Array.isArray(criterios) ? criterios : [])
+    .map((criterio, index) => ({ index, evaluacion: parseFloat(criterio && criterio.evaluacion) }))
+    .filter(({ evaluacion }) => Number.isFinite(evaluacion) && (evaluacion < minimo || evaluacion > maximo));
+}
+
+function redondearPuntaje(puntaje) {
+  return Math.round(puntaje * 100) / 100;
+}
+
+/**
+ * Calcula los resultados de un reporte a partir de sus datos
+ * Solo cuentan los criterios con evaluación. Cada criterio aporta hasta su peso
+ * en puntos, en proporción al nivel alcanzado sobre el nivel máximo.
+ * @param {Object} reporte - { configuracion, nivelesDesempeno, criterios, feedback }
+ * @returns {Object|null} resultados, o null si no hay criterios evaluados.
+ */
+export function calcularResultados({ configuracion, nivelesDesempeno, criterios, feedback } = {}) {
+  const config = normalizarConfiguracion(configuracion);
+  const maxPuntajeNivel = puntajeMaximoNivel(nivelesDesempeno);
+  if (maxPuntajeNivel <= 0) {
+    return null;
+  }
+
+  let puntajeTotal = 0;
+  let puntajeMaximo = 0;
+  let criteriosEvaluados = 0;
+
+  (Array.isArray(criterios) ? criterios : []).forEach(criterio => {
+    const puntaje = parseFloat(criterio && criterio.evaluacion);
+    if (!Number.isFinite(puntaje)) return;
+    const peso = pesoCriterio(criterio, maxPuntajeNivel);
+    puntajeTotal += peso * (puntaje / maxPuntajeNivel);
+    puntajeMaximo += peso;
+    criteriosEvaluados++;
+  });
+
+  if (criteriosEvaluados === 0 || puntajeMaximo <= 0) {
+    return null;
+  }
+
+  const porcentajeLogro = (puntajeTotal / puntajeMaximo) * 100;
+  let notaFinal = calcularNota(porcentajeLogro, config);
+
+  const puntosAgregar = feedback && feedback.puntosAdicionales ? aNumero(feedback.puntosAgregar, 0) : 0;
+  if (puntosAgregar > 0) {
+    notaFinal += puntosAgregar;
+  }
+
+  // Se acota antes y después de redondear: la nota máxima puede no caer en un paso del incremento
+  const acotar = (nota) => Math.max(config.notaMinima, Math.min(config.notaMaxima, nota));
+  notaFinal = acotar(redondearNota(acotar(notaFinal), config));
+
+  return {
+    puntajeTotal: redondearPuntaje(puntajeTotal),
+    puntajeMaximo: redondearPuntaje(puntajeMaximo),
+    porcentajeLogro,
+    notaFinal,
+    criteriosEvaluados
+  };
+}
+
+/**
+ * Promedio ponderado de las notas de un estudiante, redondeado a un decimal
+ * Las evaluaciones sin nota no cuentan; un peso vacío o inválido vale 1,
+ * de modo que sin pesos configurados se obtiene el promedio simple.
+ * @param {Array} notas - [{ nota, peso }]
+ * @returns {Number|null} null si no hay ninguna nota.
+ */
+export function promedioPonderado(notas) {
+  let suma = 0;
+  let pesoTotal = 0;
+
+  (Array.isArray(notas) ? notas : []).forEach(({ nota, peso }) => {
+    const valor = parseFloat(nota);
+    if (!Number.isFinite(valor)) return;
+    const ponderacion = aNumero(peso, 1) >= 0 ? aNumero(peso, 1) : 1;
+    suma += valor * ponderacion;
+    pesoTotal += ponderacion;
+  });
+
+  return pesoTotal > 0 ? Math.round((suma / pesoTotal) * 10) / 10 : null;
+}
+
+/**
+ * Indica si la nota enviada por el cliente coincide con la calculada
+ * Si el cliente no envió nota, se considera que coincide.
+ */
+export function notaCoincide(resultadosEnviados, resultadosCalculados) {
+  const enviada = resultadosEnviados ? resultadosEnviados.notaFinal : undefined;
+  if (enviada === undefined || enviada === null || enviada === '') {
+    return true;
+  }
+  const nota = parseFloat(enviada);
+  return Number.isFinite(nota) && Math.abs(nota - resultadosCalculados.notaFinal) < TOLERANCIA_NOTA;
+}
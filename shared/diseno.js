@@ -0,0 +1,96 @@
+/**
+ * Diseño de los reportes (plantillas de reporte)
+ * Una plantilla define el título, los textos del encabezado, la firma y el pie, el color
+ * principal, qué secciones se muestran y en qué orden. La usan la vista previa y los PDF
+ * de la interfaz y la planilla de notas que exporta la API, para que todos coincidan.
+ */
+
+// Secciones del cuerpo del reporte, en el orden predeterminado
+export const SECCIONES_REPORTE = ['informacion', 'resultados', 'criterios', 'feedback'];
+
+export const NOMBRES_SECCIONES = {
+  informacion: 'Información general',
+  resultados: 'Resultados',
+  criterios: 'Detalle de criterios',
+  feedback: 'Feedback del docente'
+};
+
+export const DISENO_PREDETERMINADO = {
+  titulo: 'Reporte de Evaluación',
+  // Texto bajo el nombre de la institución (facultad, departamento...)
+  encabezado: '',
+  // Nombre y cargo bajo la línea de firma; sin texto no hay firma
+  firma: '',
+  piePagina: '',
+  colorPrincipal: '#4299e1',
+  secciones: SECCIONES_REPORTE,
+  mostrarLogo: true,
+  mostrarDescripcion: true,
+  mostrarPuntaje: true,
+  mostrarLogro: true,
+  mostrarPesos: true,
+  // Descriptores de todos los niveles (rúbrica completa) o solo el del nivel alcanzado
+  rubricaCompleta: true
+};
+
+export const OPCIONES_DISENO = [
+  'mostrarLogo', 'mostrarDescripcion', 'mostrarPuntaje', 'mostrarLogro', 'mostrarPesos', 'rubricaCompleta'
+];
+
+// Logos: PNG o JPEG (los formatos que admite jsPDF) guardados como data URL
+export const TIPOS_LOGO = ['image/png', 'image/jpeg'];
+export const LOGO_MAX_BYTES = 200 * 1024;
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Completa un diseño guardado con los valores predeterminados y descarta los valores inválidos.
+ * Las secciones desconocidas o repetidas se ignoran; las que faltan quedan ocultas.
+ */
+export function normalizarDiseno(diseno) {
+  const d = diseno && typeof diseno === 'object' ? diseno : {};
+  const texto = (campo) => typeof d[campo] === 'string' ? d[campo].trim() : DISENO_PREDETERMINADO[campo];
+
+  const resultado = {
+    titulo: texto('titulo') || DISENO_PREDETERMINADO.titulo,
+    encabezado: texto('encabezado'),
+    firma: texto('firma'),
+    piePagina: texto('piePagina'),
+    colorPrincipal: COLOR.test(d.colorPrincipal) ? d.colorPrincipal.toLowerCase() : DISENO_PREDETERMINADO.colorPrincipal,
+    secciones: Array.isArray(d.secciones)
+      ? d.secciones.filter((s, i) => SECCIONES_REPORTE.includes(s) && d.secciones.indexOf(s) === i)
+      : [...SECCIONES_REPORTE]
+  };
+  OPCIONES_DISENO.forEach(opcion => {
+    resultado[opcion] = typeof d[opcion] === 'boolean' ? d[opcion] : DISENO_PREDETERMINADO[opcion];
+  });
+  return resultado;
+}
+
+/**
+ * Color '#rrggbb' como [r, g, b]
+ */
+export function colorRGB(hex) {
+  const color = COLOR.test(hex) ? hex : DISENO_PREDETERMINADO.colorPrincipal;
+  return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+}
+
+/**
+ * Tono claro del color '#rrggbb' (mezclado con blanco) como [r, g, b], para fondos destacados
+ */
+export function colorClaro(hex, intensidad = 0.15) {
+  return colorRGB(hex).map(c => Math.round(255 - (255 - c) * intensidad));
+}
+
+/**
+ * Revisa un logo en formato data URL (data:image/png;base64,...)
+ * @returns {string|null} El problema encontrado, o null si el logo es válido.
+ */
+export function problemaLogo(logo) {
+  const partes = /^data:([a-z/]+);base64,([A-Za-z0-9+/]+=*)$/.exec(typeof logo === 'string' ? logo : '');
+  if (!partes) return 'Must be an image encoded as a base64 data URL.';
+  if (!TIPOS_LOGO.includes(partes[1])) return 'Must be a PNG or JPEG image.';
+  const bytes = Math.floor(partes[2].length * 3 / 4) - (partes[2].match(/=*$/)[0].length);
+  if (bytes > LOGO_MAX_BYTES) return `Must be at most ${LOGO_MAX_BYTES / 1024} KB.`;
+  return null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Utilidades compartidas para identificar estudiantes
+ * Las usan la nómina del navegador y la API, de modo que "Juan Perez" y
+ * "Juan Pérez" se reconozcan como el mismo estudiante en ambos lados.
+ */
+
+/**
+ * Clave de comparación de un nombre: sin tildes, minúsculas y espacios simples
+ * ('  Juan  Pérez ' → 'juan perez').
+ */
+export function normalizarNombre(nombre) {
+  return String(nombre || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normaliza un RUT o identificador de estudiante
+ * Un RUT chileno queda sin puntos y con guion ('12.345.678-k' → '12345678-K');
+ * cualquier otro identificador solo se recorta y pasa a mayúsculas.
+ * @returns {String|null} null si el valor está vacío.
+ */
+export function normalizarRut(rut) {
+  const valor = String(rut || '').trim().toUpperCase();
+  if (!valor) {
+    return null;
+  }
+
+  const rutChileno = valor.replace(/[.\s]/g, '').match(/^(\d{7,8})-?([\dK])$/);
+  return rutChileno ? `${rutChileno[1]}-${rutChileno[2]}` : valor;
+}
+
+/**
+ * Busca un estudiante de la nómina por RUT y, si no hay RUT, por nombre normalizado
+ * @param {Array} estudiantes - Estudiantes con { name, rut }.
+ * @param {Object} datos - { nombre, rut } del estudiante buscado.
+ */
+export function buscarEstudiante(estudiantes, { nombre, rut } = {}) {
+  const lista = Array.isArray(estudiantes) ? estudiantes : [];
+  const rutBuscado = normalizarRut(rut);
+  if (rutBuscado) {
+    return lista.find(e => normalizarRut(e.rut) === rutBuscado) || null;
+  }
+
+  const nombreBuscado = normalizarNombre(nombre);
+  if (!nombreBuscado) {
+    return null;
+  }
+  return lista.find(e => normalizarNombre(e.name) === nombreBuscado) || null;
+}
@@ -0,0 +1,326 @@
+/**
+ * Lectura y escritura de planillas para la carga masiva y las exportaciones
+ * La lectura de CSV/TSV sigue RFC 4180: campos entre comillas con "" como comilla
+ * escapada y saltos de línea dentro de las celdas. Acepta ',', ';' (Excel en español)
+ * y tabulación, y archivos en UTF-8, UTF-16 o Latin-1. La escritura genera CSV y XLSX
+ * por partes, para exportar cursos grandes sin tenerlos completos en memoria.
+ */
+
+import { generarZip } from './zip.js';
+
+export const SEPARADORES = [',', ';', '\t'];
+
+// Columnas de la plantilla de carga masiva, en el orden en que se exportan.
+// Cada criterio agrega criterioN_nombre, _evaluacion, _peso y un descriptor por nivel (ver columnasCriterio).
+export const COLUMNAS_PLANTILLA = [
+  'nombreEstudiante', 'rutEstudiante', 'fecha', 'nombreDocente', 'asignatura', 'carrera',
+  'universidad', 'tituloEvaluacion', 'descripcionEvaluacion', 'lista'
+];
+export const COLUMNAS_ESCALA = ['notaMinima', 'notaMaxima', 'notaAprobacion', 'exigencia', 'incremento', 'redondeo', 'niveles'];
+export const COLUMNAS_RETROALIMENTACION = ['feedbackDocente', 'puntosAdicionales', 'puntosAgregar', 'justificacionPuntos'];
+
+/**
+ * Columnas del criterio número `numero` (desde 1) con un descriptor por clave de nivel
+ */
+export function columnasCriterio(numero, clavesNivel = []) {
+  const prefijo = `criterio${numero}`;
+  return [`${prefijo}_nombre`, `${prefijo}_evaluacion`, `${prefijo}_peso`, ...clavesNivel.map(clave => `${prefijo}_${clave}`)];
+}
+
+/**
+ * Niveles de desempeño como texto de la columna 'niveles': "Insuficiente=0; Regular=1"
+ */
+export function textoNiveles(niveles) {
+  return (niveles || []).map(nivel => `${nivel.nombre}=${nivel.puntaje}`).join('; ');
+}
+
+/**
+ * Decodifica el contenido de un archivo de texto
+ * Respeta la marca BOM (UTF-8, UTF-16 LE/BE) y, sin BOM, usa UTF-8 salvo que los
+ * bytes no sean UTF-8 válido, en cuyo caso los lee como Windows-1252 (Latin-1).
+ * @param {ArrayBuffer|Uint8Array} contenido
+ * @returns {String} Texto sin BOM.
+ */
+export function decodificarTexto(contenido) {
+  const bytes = contenido instanceof Uint8Array ? contenido : new Uint8Array(contenido);
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Elige el separador más frecuente en el primer registro, sin contar los que van entre comillas
+ */
+export function detectarSeparador(texto) {
+  const conteo = new Map(SEPARADORES.map(s => [s, 0]));
+  let dentroComillas = false;
+
+  for (const char of texto) {
+    if (char === '"') {
+      dentroComillas = !dentroComillas;
+    } else if (!dentroComillas && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!dentroComillas && conteo.has(char)) {
+      conteo.set(char, conteo.get(char) + 1);
+    }
+  }
+
+  let separador = ',';
+  conteo.forEach((cantidad, candidato) => {
+    if (cantidad > conteo.get(separador)) separador = candidato;
+  });
+  return separador;
+}
+
+/**
+ * Divide un texto CSV en registros
+ * Los registros vacíos se omiten y cada uno guarda la línea del archivo en que empieza,
+ * para informar errores aunque haya celdas de varias líneas.
+ * @param {String} texto - Contenido ya decodificado (ver decodificarTexto).
+ * @param {Object} opciones - { separador }; si se omite se detecta.
+ * @returns {Object} { separador, filas: [{ numero, valores }], errores: [{ fila, mensaje }] }
+ */
+export function parsearCSV(texto, { separador = detectarSeparador(texto) } = {}) {
+  const filas = [];
+  const errores = [];
+  let valores = [];
+  let campo = '';
+  let entreComillas = false;
+  let comillaCerrada = false;
+  let linea = 1;
+  let inicioRegistro = 1;
+
+  const cerrarCampo = () => {
+    valores.push(entreComillas || comillaCerrada ? campo : campo.trim());
+    campo = '';
+    comillaCerrada = false;
+  };
+  const cerrarRegistro = () => {
+    cerrarCampo();
+    if (valores.some(valor => valor !== '')) {
+      filas.push({ numero: inicioRegistro, valores });
+    }
+    valores = [];
+    inicioRegistro = linea;
+  };
+
+  for (let i = 0; i < texto.length; i++) {
+    const char = texto[i];
+
+    if (entreComillas) {
+      if (char === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (char === '"') {
+        entreComillas = false;
+        comillaCerrada = true;
+      } else if (char === '\r' && texto[i + 1] === '\n') {
+        // Dentro de la celda los saltos CRLF quedan como '\n'
+        continue;
+      } else {
+        if (char === '\n' || char === '\r') linea++;
+        campo += char === '\r' ? '\n' : char;
+      }
+      continue;
+    }
+
+    if (char === '"' && campo.trim() === '' && !comillaCerrada) {
+      // Comilla de apertura: se descartan los espacios previos
+      campo = '';
+      entreComillas = true;
+    } else if (char === separador) {
+      cerrarCampo();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && texto[i + 1] === '\n') i++;
+      linea++;
+      cerrarRegistro();
+    } else if (comillaCerrada) {
+      // Texto después de la comilla de cierre: se conserva, pero se informa
+      if (char.trim() !== '') {
+        errores.push({ fila: inicioRegistro, mensaje: `Texto después de las comillas de cierre en la columna ${valores.length + 1}.` });
+        comillaCerrada = false;
+        campo += char;
+      }
+    } else {
+      campo += char;
+    }
+  }
+
+  if (entreComillas) {
+    errores.push({ fila: inicioRegistro, mensaje: `Comillas sin cerrar en la columna ${valores.length + 1}.` });
+  }
+  cerrarRegistro();
+
+  return { separador, filas, errores };
+}
+
+// ==========================================
+// ESCRITURA
+// ==========================================
+
+// Van entre comillas las celdas con separadores, comillas, saltos de línea o espacios
+// en los bordes, que parsearCSV recortaría
+const CELDA_CON_COMILLAS = /[",;\t\r\n]|^\s|\s$/;
+
+function celdaCSV(valor) {
+  if (valor === null || valor === undefined) return '';
+  const texto = String(valor);
+  return CELDA_CON_COMILLAS.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Un registro CSV (RFC 4180) terminado en CRLF
+ */
+export function filaCSV(valores, separador = ',') {
+  return valores.map(celdaCSV).join(separador) + '\r\n';
+}
+
+/**
+ * Archivo CSV por partes a partir de sus filas, con BOM para que Excel lo lea como UTF-8
+ * @param {Iterable|AsyncIterable} filas - Arreglos de celdas; la primera es el encabezado.
+ * @returns {AsyncGenerator<String>} Bloques de unos 64 KB.
+ */
+export async function* generarCSV(filas, separador = ',') {
+  let bloque = '\uFEFF';
+  for await (const fila of filas) {
+    bloque += filaCSV(fila, separador);
+    if (bloque.length >= 65536) {
+      yield bloque;
+      bloque = '';
+    }
+  }
+  if (bloque) yield bloque;
+}
+
+// Caracteres que XML 1.0 no admite ni escapados
+const CONTROL_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escaparXML(texto) {
+  return String(texto)
+    .replace(CONTROL_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Letra de columna de Excel: 0 → A, 26 → AA
+function columnaExcel(indice) {
+  let letras = '';
+  for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letras = String.fromCharCode(65 + ((n - 1) % 26)) + letras;
+  }
+  return letras;
+}
+
+function celdaXLSX(valor, referencia, estilo) {
+  const s = estilo ? ` s="${estilo}"` : '';
+  if (valor === null || valor === undefined || valor === '') return '';
+  if (typeof valor === 'number' && Number.isFinite(valor)) return `<c r="${referencia}"${s}><v>${valor}</v></c>`;
+  if (typeof valor === 'boolean') return `<c r="${referencia}"${s} t="b"><v>${valor ? 1 : 0}</v></c>`;
+  return `<c r="${referencia}"${s} t="inlineStr"><is><t xml:space="preserve">${escaparXML(valor)}</t></is></c>`;
+}
+
+/**
+ * XML de una hoja: la primera fila en negrita y fija al desplazarse
+ */
+async function* hojaXLSX(filas) {
+  let bloque = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + '<sheetData>';
+  let numero = 0;
+  for await (const fila of filas) {
+    numero++;
+    const celdas = fila.map((valor, i) => celdaXLSX(valor, `${columnaExcel(i)}${numero}`, numero === 1 ? 1 : 0)).join('');
+    bloque += `<row r="${numero}">${celdas}</row>`;
+    if (bloque.length >= 65536) {
+      yield bloque;
+      bloque = '';
+    }
+  }
+  yield bloque + '</sheetData></worksheet>';
+}
+
+// Los nombres de hoja de Excel tienen hasta 31 caracteres y no admiten []:*?/\\
+function nombreHoja(nombre, usados) {
+  const base = String(nombre || 'Hoja').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Hoja';
+  let candidato = base;
+  for (let n = 2; usados.has(candidato.toLowerCase()); n++) {
+    candidato = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  }
+  usados.add(candidato.toLowerCase());
+  return candidato;
+}
+
+/**
+ * Libro XLSX por partes, con las celdas de texto en línea (sin tabla de textos compartidos)
+ * @param {Array} hojas - [{ nombre, filas }]; filas es un iterable (también asíncrono) de
+ *   arreglos de celdas y la primera fila es el encabezado. Los números se guardan como número.
+ * @returns {AsyncGenerator<Uint8Array>} Bloques del archivo ZIP.
+ */
+export function generarXLSX(hojas) {
+  const usados = new Set();
+  const nombres = hojas.map(hoja => nombreHoja(hoja.nombre, usados));
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const relacion = (id, tipo, destino) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${tipo}" Target="${destino}"/>`;
+
+  const partes = [
+    {
+      nombre: '[Content_Types].xml',
+      contenido: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + hojas.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      nombre: '_rels/.rels',
+      contenido: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + relacion('rId1', 'officeDocument', 'xl/workbook.xml') + '</Relationships>'
+    },
+    {
+      nombre: 'xl/workbook.xml',
+      contenido: xml + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + nombres.map((nombre, i) => `<sheet name="${escaparXML(nombre)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      nombre: 'xl/_rels/workbook.xml.rels',
+      contenido: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + hojas.map((_, i) => relacion(`rId${i + 1}`, 'worksheet', `worksheets/sheet${i + 1}.xml`)).join('')
+        + relacion(`rId${hojas.length + 1}`, 'styles', 'styles.xml')
+        + '</Relationships>'
+    },
+    {
+      // Estilo 0: normal; estilo 1: negrita para los encabezados
+      nombre: 'xl/styles.xml',
+      contenido: xml + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...hojas.map((hoja, i) => ({ nombre: `xl/worksheets/sheet${i + 1}.xml`, contenido: hojaXLSX(hoja.filas) }))
+  ];
+
+  return generarZip(partes);
+}
@@ -0,0 +1,161 @@
+/**
+ * Escritura de archivos ZIP por partes
+ * Cada entrada se comprime con deflate (CompressionStream) a medida que llegan sus datos
+ * y termina con un descriptor con su CRC y tamaños, así que el archivo se genera sin
+ * tenerlo completo en memoria. Lo usan las exportaciones XLSX de la API y las descargas
+ * de la interfaz. Sin ZIP64: hasta 4 GB y 65.535 entradas.
+ */
+
+const encoder = new TextEncoder();
+
+// Bit 3: tamaños y CRC en el descriptor de datos; bit 11: nombres en UTF-8
+const BANDERAS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+const TABLA_CRC = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 de un bloque de bytes; se encadena pasando el CRC del bloque anterior
+ */
+export function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = TABLA_CRC[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+function aBytes(parte) {
+  if (typeof parte === 'string') return encoder.encode(parte);
+  return parte instanceof Uint8Array ? parte : new Uint8Array(parte);
+}
+
+/**
+ * Partes de una entrada: texto, bytes (Uint8Array o ArrayBuffer) o un iterable, también
+ * asíncrono, de ellos
+ */
+async function* partesDe(contenido) {
+  if (typeof contenido === 'string' || contenido instanceof Uint8Array || contenido instanceof ArrayBuffer) {
+    yield aBytes(contenido);
+    return;
+  }
+  for await (const parte of contenido) {
+    yield aBytes(parte);
+  }
+}
+
+/**
+ * Registro binario little-endian: campos [bytes, valor] seguidos del nombre de la entrada
+ */
+function registro(campos, nombre = new Uint8Array(0)) {
+  const largo = campos.reduce((total, [bytes]) => total + bytes, 0);
+  const datos = new Uint8Array(largo + nombre.length);
+  const vista = new DataView(datos.buffer);
+  let posicion = 0;
+  campos.forEach(([bytes, valor]) => {
+    if (bytes === 2) vista.setUint16(posicion, valor, true);
+    else vista.setUint32(posicion, valor, true);
+    posicion += bytes;
+  });
+  datos.set(nombre, posicion);
+  return datos;
+}
+
+// Fecha y hora en el formato de MS-DOS que usa ZIP (resolución de 2 segundos)
+function fechaDOS(fecha) {
+  return {
+    hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+    dia: ((Math.max(fecha.getFullYear(), 1980) - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate()
+  };
+}
+
+/**
+ * Comprime las partes de una entrada y acumula en totales su CRC y tamaños
+ */
+async function* comprimir(partes, totales) {
+  const compresor = new CompressionStream('deflate-raw');
+  const escritor = compresor.writable.getWriter();
+  const lector = compresor.readable.getReader();
+
+  // Se escribe mientras se lee: si la entrada falla, el error llega también al lector
+  const escritura = (async () => {
+    try {
+      for await (const parte of partes) {
+        totales.crc = crc32(parte, totales.crc);
+        totales.tamano += parte.length;
+        await escritor.write(parte);
+      }
+      await escritor.close();
+    } catch (error) {
+      await escritor.abort(error).catch(() => {});
+      throw error;
+    }
+  })();
+  escritura.catch(() => {});
+
+  let terminado = false;
+  try {
+    while (true) {
+      const { value, done } = await lector.read();
+      if (done) break;
+      totales.comprimido += value.length;
+      yield value;
+    }
+    terminado = true;
+    await escritura;
+  } finally {
+    if (!terminado) lector.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Genera un archivo ZIP como una secuencia de bloques de bytes
+ * @param {Iterable|AsyncIterable} entradas - { nombre, contenido, fecha }; contenido es texto,
+ *   bytes o un iterable (también asíncrono) de ellos, que se consume a medida que se escribe.
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* generarZip(entradas) {
+  const central = [];
+  let desplazamiento = 0;
+
+  for await (const { nombre, contenido, fecha = new Date() } of entradas) {
+    const nombreBytes = encoder.encode(nombre);
+    const { hora, dia } = fechaDOS(fecha);
+
+    const local = registro([
+      [4, 0x04034B50], [2, VERSION], [2, BANDERAS], [2, DEFLATE], [2, hora], [2, dia],
+      [4, 0], [4, 0], [4, 0], [2, nombreBytes.length], [2, 0]
+    ], nombreBytes);
+    yield local;
+
+    const totales = { crc: 0, tamano: 0, comprimido: 0 };
+    yield* comprimir(partesDe(contenido), totales);
+
+    const descriptor = registro([[4, 0x08074B50], [4, totales.crc], [4, totales.comprimido], [4, totales.tamano]]);
+    yield descriptor;
+
+    central.push(registro([
+      [4, 0x02014B50], [2, VERSION], [2, VERSION], [2, BANDERAS], [2, DEFLATE], [2, hora], [2, dia],
+      [4, totales.crc], [4, totales.comprimido], [4, totales.tamano], [2, nombreBytes.length],
+      [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, desplazamiento]
+    ], nombreBytes));
+    desplazamiento += local.length + totales.comprimido + descriptor.length;
+  }
+
+  let tamanoCentral = 0;
+  for (const entrada of central) {
+    tamanoCentral += entrada.length;
+    yield entrada;
+  }
+  yield registro([
+    [4, 0x06054B50], [2, 0], [2, 0], [2, central.length], [2, central.length],
+    [4, tamanoCentral], [4, desplazamiento], [2, 0]
+  ]);
+}